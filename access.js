@@ -0,0 +1,224 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// Declarative access control for incoming session requests.  A policy has
+// optional allow and deny lists for the called name, the calling name, the
+// scope ID and the remote address.  A request must not match any deny list
+// and must match every allow list that is given.  Each check maps to the
+// RFC1002 negative response code that best describes the refusal.
+
+var codec = require('./codec');
+var names = require('./names');
+var net = require('net');
+
+module.exports.createPolicy = createPolicy;
+
+// The checks are applied in this order.  The first failure is reported.
+var CHECKS = [
+  { rule: 'address', errorCode: 0x8f },
+  { rule: 'scopeId', errorCode: 0x82 },
+  { rule: 'callTo', errorCode: 0x80 },
+  { rule: 'callFrom', errorCode: 0x81 }
+];
+
+// Build a function that checks a request of the form { callTo, callFrom,
+// remoteAddress }.  It returns an object with an allowed property.  Denied
+// requests also include the rule and list that caused the denial along with
+// the errorCode and reason for the negative response.  Throws if any entry
+// in the policy is invalid.
+function createPolicy(opts) {
+  opts = opts || {};
+
+  var allow = _compileLists(opts.allow);
+  var deny = _compileLists(opts.deny);
+
+  return function(request) {
+    var values = {
+      address: request.remoteAddress || null,
+      scopeId: request.callTo ? (request.callTo.scopeId || '') : '',
+      callTo: request.callTo,
+      callFrom: request.callFrom
+    };
+
+    for (var i = 0; i < CHECKS.length; ++i) {
+      var check = CHECKS[i];
+      var value = values[check.rule];
+
+      if (deny[check.rule] && deny[check.rule](value)) {
+        return _denied(check, 'deny');
+      }
+
+      if (allow[check.rule] && !allow[check.rule](value)) {
+        return _denied(check, 'allow');
+      }
+    }
+
+    return { allowed: true };
+  };
+}
+
+function _denied(check, list) {
+  return {
+    allowed: false,
+    rule: check.rule,
+    list: list,
+    errorCode: check.errorCode,
+    reason: codec.ERROR_CODE_TO_STRING[check.errorCode]
+  };
+}
+
+function _compileLists(lists) {
+  lists = lists || {};
+  var matchers = {};
+
+  if (lists.callTo !== undefined) {
+    matchers.callTo = _nameMatcher(lists.callTo);
+  }
+
+  if (lists.callFrom !== undefined) {
+    matchers.callFrom = _nameMatcher(lists.callFrom);
+  }
+
+  if (lists.scopeId !== undefined) {
+    matchers.scopeId = _scopeMatcher(lists.scopeId);
+  }
+
+  if (lists.address !== undefined) {
+    matchers.address = _addressMatcher(lists.address);
+  }
+
+  return matchers;
+}
+
+// Unlike names.createMatcher(), an invalid name is an error here since it
+// would otherwise silently never match.
+function _nameMatcher(list) {
+  if (typeof list !== 'function') {
+    (Array.isArray(list) ? list : [list]).forEach(function(name) {
+      var pattern = names.parse(name);
+      if (pattern.error) {
+        throw pattern.error;
+      }
+    });
+  }
+  return names.createMatcher(list);
+}
+
+// Scope IDs are compared without regard to case.  The empty string matches
+// names without a scope.
+function _scopeMatcher(list) {
+  if (typeof list === 'function') {
+    return list;
+  }
+
+  var scopes = (Array.isArray(list) ? list : [list]).map(function(scopeId) {
+    return (scopeId || '').toLowerCase();
+  });
+
+  return function(scopeId) {
+    return scopes.indexOf((scopeId || '').toLowerCase()) > -1;
+  };
+}
+
+function _addressMatcher(list) {
+  if (typeof list === 'function') {
+    return list;
+  }
+
+  var ranges = (Array.isArray(list) ? list : [list]).map(function(entry) {
+    var range = _parseAddress(entry);
+    if (range.error) {
+      throw range.error;
+    }
+    return range;
+  });
+
+  return function(address) {
+    var value = _ipv4ToNumber(address);
+    for (var i = 0; i < ranges.length; ++i) {
+      var range = ranges[i];
+      if (value === null) {
+        if (range.address === address) {
+          return true;
+        }
+      } else if (range.base !== null &&
+                 ((value & range.mask) >>> 0) === range.base) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+// Parse an address like '10.0.0.0/8' or '10.1.2.3' into a range.  Other
+// address families are only compared as exact strings.
+function _parseAddress(entry) {
+  if (typeof entry !== 'string' || !entry) {
+    return { error: new Error('Invalid address [' + entry + ']') };
+  }
+
+  var parts = entry.split('/');
+  var bits = 32;
+  if (parts.length > 2) {
+    return { error: new Error('Invalid address [' + entry + ']') };
+  }
+
+  if (parts.length === 2) {
+    bits = /^\d+$/.test(parts[1]) ? parseInt(parts[1], 10) : -1;
+    if (!net.isIPv4(parts[0]) || bits < 0 || bits > 32) {
+      return { error: new Error('Invalid address range [' + entry + ']') };
+    }
+  }
+
+  var base = _ipv4ToNumber(parts[0]);
+  if (base === null) {
+    if (!net.isIP(parts[0])) {
+      return { error: new Error('Invalid address [' + entry + ']') };
+    }
+    return { address: parts[0], base: null, mask: 0 };
+  }
+
+  var mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return { address: parts[0], base: (base & mask) >>> 0, mask: mask };
+}
+
+// IPv4 addresses may also appear mapped into IPv6 by dual stack sockets
+function _ipv4ToNumber(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+
+  if (address.toLowerCase().indexOf('::ffff:') === 0) {
+    address = address.slice(7);
+  }
+
+  if (!net.isIPv4(address)) {
+    return null;
+  }
+
+  return address.split('.').reduce(function(value, octet) {
+    return ((value << 8) + parseInt(octet, 10)) >>> 0;
+  }, 0);
+}
@@ -0,0 +1,236 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+module.exports = PcapWriter;
+
+var net = require('net');
+
+var PCAP_MAGIC = 0xa1b2c3d4;
+var PCAP_VERSION_MAJOR = 2;
+var PCAP_VERSION_MINOR = 4;
+var PCAP_SNAPLEN = 65535;
+var LINKTYPE_ETHERNET = 1;
+
+var ETHER_HEADER_LENGTH = 14;
+var IP_HEADER_LENGTH = 20;
+var TCP_HEADER_LENGTH = 20;
+var TCP_MSS = 1460;
+
+var TCP_FLAG_PSH = 0x08;
+var TCP_FLAG_ACK = 0x10;
+
+var LOCAL_MAC = [0x02, 0x00, 0x00, 0x00, 0x00, 0x01];
+var REMOTE_MAC = [0x02, 0x00, 0x00, 0x00, 0x00, 0x02];
+
+var DEFAULT_LOCAL_ADDRESS = '10.0.0.1';
+var DEFAULT_REMOTE_ADDRESS = '10.0.0.2';
+var DEFAULT_SERVER_PORT = 139;
+var DEFAULT_CLIENT_PORT = 49152;
+
+// Write session frames to a stream in libpcap format.  Real captures see
+// TCP segments, so each frame is wrapped in synthesized Ethernet, IPv4 and
+// TCP headers.  The result can be opened in Wireshark or replayed with
+// pcap-socket.
+function PcapWriter(stream) {
+  var self = this instanceof PcapWriter
+           ? this
+           : Object.create(PcapWriter.prototype);
+
+  self.stream = stream;
+
+  self._local = null;
+  self._remote = null;
+  self._seqOut = 1;
+  self._seqIn = 1;
+
+  self._writeGlobalHeader();
+
+  return self;
+}
+
+// Set the addresses used in the synthesized headers.  Addresses that are
+// not IPv4, such as those of in-memory streams, are replaced with fixed
+// private addresses.  If inbound is set, then we are the server.
+PcapWriter.prototype.setEndpoints = function(socket, inbound) {
+  socket = socket || {};
+
+  var defaultLocalPort = inbound ? DEFAULT_SERVER_PORT : DEFAULT_CLIENT_PORT;
+  var defaultRemotePort = inbound ? DEFAULT_CLIENT_PORT : DEFAULT_SERVER_PORT;
+
+  this._local = {
+    mac: LOCAL_MAC,
+    address: _ipv4(socket.localAddress, DEFAULT_LOCAL_ADDRESS),
+    port: socket.localPort || defaultLocalPort
+  };
+
+  this._remote = {
+    mac: REMOTE_MAC,
+    address: _ipv4(socket.remoteAddress, DEFAULT_REMOTE_ADDRESS),
+    port: socket.remotePort || defaultRemotePort
+  };
+};
+
+// Record a frame.  The direction is 'in' for frames received from the
+// remote peer and 'out' for frames we sent.
+PcapWriter.prototype.write = function(direction, frame) {
+  if (!this._local) {
+    this.setEndpoints(null, false);
+  }
+
+  var inbound = direction === 'in';
+  var src = inbound ? this._remote : this._local;
+  var dst = inbound ? this._local : this._remote;
+
+  // Large frames span several segments, just like on the wire
+  for (var offset = 0; offset < frame.length; offset += TCP_MSS) {
+    var data = frame.slice(offset, offset + TCP_MSS);
+    var seq = inbound ? this._seqIn : this._seqOut;
+    var ack = inbound ? this._seqOut : this._seqIn;
+
+    this._writeRecord(src, dst, seq, ack, data);
+
+    if (inbound) {
+      this._seqIn = (this._seqIn + data.length) >>> 0;
+    } else {
+      this._seqOut = (this._seqOut + data.length) >>> 0;
+    }
+  }
+};
+
+PcapWriter.prototype.end = function() {
+  this.stream.end();
+};
+
+PcapWriter.prototype._writeGlobalHeader = function() {
+  var buf = new Buffer(24);
+  buf.writeUInt32LE(PCAP_MAGIC, 0);
+  buf.writeUInt16LE(PCAP_VERSION_MAJOR, 4);
+  buf.writeUInt16LE(PCAP_VERSION_MINOR, 6);
+  buf.writeInt32LE(0, 8);
+  buf.writeUInt32LE(0, 12);
+  buf.writeUInt32LE(PCAP_SNAPLEN, 16);
+  buf.writeUInt32LE(LINKTYPE_ETHERNET, 20);
+  this.stream.write(buf);
+};
+
+PcapWriter.prototype._writeRecord = function(src, dst, seq, ack, data) {
+  var ipLength = IP_HEADER_LENGTH + TCP_HEADER_LENGTH + data.length;
+  var frameLength = ETHER_HEADER_LENGTH + ipLength;
+
+  var buf = new Buffer(16 + frameLength);
+  var now = Date.now();
+
+  // Record header
+  buf.writeUInt32LE(Math.floor(now / 1000), 0);
+  buf.writeUInt32LE((now % 1000) * 1000, 4);
+  buf.writeUInt32LE(frameLength, 8);
+  buf.writeUInt32LE(frameLength, 12);
+
+  // Ethernet header
+  var offset = 16;
+  _writeBytes(buf, offset, dst.mac);
+  _writeBytes(buf, offset + 6, src.mac);
+  buf.writeUInt16BE(0x0800, offset + 12);
+
+  // IPv4 header
+  offset += ETHER_HEADER_LENGTH;
+  var ipOffset = offset;
+  buf.writeUInt8(0x45, offset);
+  buf.writeUInt8(0, offset + 1);
+  buf.writeUInt16BE(ipLength, offset + 2);
+  buf.writeUInt16BE(0, offset + 4);
+  buf.writeUInt16BE(0x4000, offset + 6);
+  buf.writeUInt8(64, offset + 8);
+  buf.writeUInt8(6, offset + 9);
+  buf.writeUInt16BE(0, offset + 10);
+  _writeBytes(buf, offset + 12, _addressBytes(src.address));
+  _writeBytes(buf, offset + 16, _addressBytes(dst.address));
+  buf.writeUInt16BE(_checksum(buf, offset, IP_HEADER_LENGTH, 0), offset + 10);
+
+  // TCP header
+  offset += IP_HEADER_LENGTH;
+  var tcpOffset = offset;
+  buf.writeUInt16BE(src.port, offset);
+  buf.writeUInt16BE(dst.port, offset + 2);
+  buf.writeUInt32BE(seq, offset + 4);
+  buf.writeUInt32BE(ack, offset + 8);
+  buf.writeUInt8((TCP_HEADER_LENGTH / 4) << 4, offset + 12);
+  buf.writeUInt8(TCP_FLAG_PSH | TCP_FLAG_ACK, offset + 13);
+  buf.writeUInt16BE(0xffff, offset + 14);
+  buf.writeUInt16BE(0, offset + 16);
+  buf.writeUInt16BE(0, offset + 18);
+
+  offset += TCP_HEADER_LENGTH;
+  data.copy(buf, offset);
+
+  // The TCP checksum covers a pseudo header made of the IP addresses,
+  // protocol and TCP length.
+  var tcpLength = TCP_HEADER_LENGTH + data.length;
+  var pseudo = 6 + tcpLength;
+  pseudo += _sumWords(buf, ipOffset + 12, 8);
+  buf.writeUInt16BE(_checksum(buf, tcpOffset, tcpLength, pseudo),
+                    tcpOffset + 16);
+
+  this.stream.write(buf);
+};
+
+function _ipv4(address, fallback) {
+  if (typeof address === 'string' && address.indexOf('::ffff:') === 0) {
+    address = address.slice(7);
+  }
+  return net.isIPv4(address) ? address : fallback;
+}
+
+function _addressBytes(address) {
+  return address.split('.').map(function(part) {
+    return parseInt(part, 10);
+  });
+}
+
+function _writeBytes(buf, offset, bytes) {
+  for (var i = 0; i < bytes.length; ++i) {
+    buf.writeUInt8(bytes[i], offset + i);
+  }
+}
+
+function _sumWords(buf, offset, length) {
+  var sum = 0;
+  for (var i = 0; i < length - 1; i += 2) {
+    sum += buf.readUInt16BE(offset + i);
+  }
+  if (length % 2) {
+    sum += buf.readUInt8(offset + length - 1) << 8;
+  }
+  return sum;
+}
+
+function _checksum(buf, offset, length, initial) {
+  var sum = initial + _sumWords(buf, offset, length);
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return (~sum) & 0xffff;
+}
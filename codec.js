@@ -0,0 +1,453 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+// Encode and decode the session packets defined in RFC1002 section 4.3.
+// This has no dependency on sockets, so it can be used on its own to parse
+// captured traffic or to build packets for testing.
+
+var NBName = require('netbios-name');
+var errors = require('./errors');
+var net = require('net');
+
+var HEADER_LENGTH = 4;
+var EXTENSION_LENGTH = 1 << 16;
+var MAX_TRAILER_LENGTH = (1 << 17) - 1;
+var RETARGET_LENGTH = 6;
+
+var FLAGS_E_MASK = 0x80;
+var FLAGS_RESERVED_MASK = 0x7f;
+
+// SMB2 over port 445 replaces the type and flags with a zero byte followed
+// by a 24-bit length.  Only messages exist in this format.
+var SMB2_DIRECT = 'smb2-direct';
+
+// The largest trailer each length format can describe
+var MAX_LENGTH = {
+  'rfc1002': MAX_TRAILER_LENGTH,
+  'smb2-direct': (1 << 24) - 1
+};
+
+var TYPE_TO_STRING = {
+  0x00: 'message',
+  0x81: 'request',
+  0x82: 'positive response',
+  0x83: 'negative response',
+  0x84: 'retarget response',
+  0x85: 'keep alive'
+};
+
+var TYPE_FROM_STRING = {
+  'message': 0x00,
+  'request': 0x81,
+  'positive response': 0x82,
+  'negative response': 0x83,
+  'retarget response': 0x84,
+  'keep alive': 0x85
+};
+
+// Trailer lengths for the packet types that have a fixed size
+var FIXED_LENGTH = {
+  'positive response': 0,
+  'negative response': 1,
+  'retarget response': RETARGET_LENGTH,
+  'keep alive': 0
+};
+
+var ERROR_CODE_TO_STRING = {
+  0x80: 'Not listening on called name',
+  0x81: 'Not listening for calling name',
+  0x82: 'Called name not present',
+  0x83: 'Called name present, but insufficient resources',
+  0x8f: 'Unspecified error'
+};
+
+var ERROR_CODE_FROM_STRING = {
+  'Not listening on called name': 0x80,
+  'Not listening for calling name': 0x81,
+  'Called name not present': 0x82,
+  'Called name present, but insufficient resources': 0x83,
+  'Unspecified error': 0x8f
+};
+
+module.exports.HEADER_LENGTH = HEADER_LENGTH;
+module.exports.MAX_TRAILER_LENGTH = MAX_TRAILER_LENGTH;
+module.exports.MAX_LENGTH = MAX_LENGTH;
+module.exports.TYPE_TO_STRING = TYPE_TO_STRING;
+module.exports.TYPE_FROM_STRING = TYPE_FROM_STRING;
+module.exports.ERROR_CODE_TO_STRING = ERROR_CODE_TO_STRING;
+module.exports.ERROR_CODE_FROM_STRING = ERROR_CODE_FROM_STRING;
+
+module.exports.encode = encode;
+module.exports.encodeHeader = encodeHeader;
+module.exports.decode = decode;
+module.exports.decodeHeader = decodeHeader;
+module.exports.decodeTrailer = decodeTrailer;
+
+// Encode the given packet object into a new Buffer.  Returns an object
+// with either an error or the resulting buffer.  A packet with a missing
+// or out of range field fails with a MalformedPacketError.
+//
+// Options:
+//  - lengthFormat: Either 'rfc1002', the default, or 'smb2-direct'.
+function encode(packet, opts) {
+  opts = opts || {};
+
+  var type = packet.type;
+  var buf = null;
+  var bytes = HEADER_LENGTH;
+
+  if (opts.lengthFormat === SMB2_DIRECT && type !== 'message') {
+    return _encodeError('Packet type [' + type + '] can not be encoded ' +
+                        'in smb2-direct format', type);
+  }
+
+  if (type === 'message') {
+    var data = packet.data || new Buffer(0);
+    if (!Buffer.isBuffer(data)) {
+      return _encodeError('Message data must be a Buffer.', type);
+    }
+    var maxLength = _maxLength(opts);
+    if (data.length > maxLength) {
+      return { error: new errors.MessageTooLongError(data.length,
+                                                     maxLength) };
+    }
+    buf = new Buffer(HEADER_LENGTH + data.length);
+    data.copy(buf, bytes);
+    bytes += data.length;
+
+  } else if (type === 'request') {
+    buf = new Buffer(HEADER_LENGTH + MAX_TRAILER_LENGTH);
+
+    var res = _writeName(packet.callTo, buf, bytes, type);
+    if (res.error) {
+      return res;
+    }
+    bytes += res.bytesWritten;
+
+    res = _writeName(packet.callFrom, buf, bytes, type);
+    if (res.error) {
+      return res;
+    }
+    bytes += res.bytesWritten;
+
+  } else if (type === 'negative response') {
+    var errorCode = packet.errorCode;
+    if (typeof errorCode !== 'number') {
+      errorCode = ERROR_CODE_FROM_STRING[packet.reason];
+    }
+    if (!errorCode) {
+      errorCode = ERROR_CODE_FROM_STRING['Unspecified error'];
+    }
+    if (!_isInteger(errorCode, 0, 0xff)) {
+      return _encodeError('Error code [' + errorCode + '] must be an ' +
+                          'integer from 0 to 255.', type);
+    }
+
+    buf = new Buffer(HEADER_LENGTH + 1);
+    buf.writeUInt8(errorCode, bytes);
+    bytes += 1;
+
+  } else if (type === 'retarget response') {
+    if (!net.isIPv4(packet.host)) {
+      return _encodeError('Retarget host [' + packet.host + '] must be an ' +
+                          'IPv4 address.', type);
+    }
+    if (!_isInteger(packet.port, 1, 0xffff)) {
+      return _encodeError('Retarget port [' + packet.port + '] must be an ' +
+                          'integer from 1 to 65535.', type);
+    }
+
+    buf = new Buffer(HEADER_LENGTH + RETARGET_LENGTH);
+
+    var octets = packet.host.split('.');
+    for (var i = 0; i < octets.length; ++i) {
+      buf.writeUInt8(parseInt(octets[i], 10), bytes);
+      bytes += 1;
+    }
+
+    buf.writeUInt16BE(packet.port, bytes);
+    bytes += 2;
+
+  } else if (type === 'positive response' || type === 'keep alive') {
+    buf = new Buffer(HEADER_LENGTH);
+
+  } else {
+    return _encodeError('Unknown packet type [' + type + ']', null);
+  }
+
+  // Now go back and write the header
+  encodeHeader(buf, 0, type, bytes - HEADER_LENGTH, opts);
+
+  return { buffer: buf.slice(0, bytes) };
+}
+
+// Write a packet header for the given type and trailer length.  Returns
+// the offset following the header.  Accepts the same options as encode().
+function encodeHeader(buf, offset, type, length, opts) {
+  if (opts && opts.lengthFormat === SMB2_DIRECT) {
+    buf.writeUInt8(0, offset);
+    buf.writeUInt8(length >>> 16, offset + 1);
+    buf.writeUInt16BE(length & 0xffff, offset + 2);
+    return offset + HEADER_LENGTH;
+  }
+
+  buf.writeUInt8(TYPE_FROM_STRING[type], offset);
+  offset += 1;
+
+  // The extension bit provides the 17th bit of the length
+  var flags = 0;
+  if (length >= EXTENSION_LENGTH) {
+    flags |= FLAGS_E_MASK;
+    length -= EXTENSION_LENGTH;
+  }
+  buf.writeUInt8(flags, offset);
+  offset += 1;
+
+  buf.writeUInt16BE(length, offset);
+  offset += 2;
+
+  return offset;
+}
+
+// Decode a complete packet from the buffer.  Returns null if the buffer does
+// not yet contain the entire packet.  Otherwise, an object describing the
+// packet is returned with a bytesRead property.  If the packet is invalid,
+// an object with an error is returned instead.  When possible, bytesRead
+// is still set on the error result so the caller can skip the packet.
+//
+// Options:
+//  - strict: Reject unknown packet types, reserved flag bits and trailers
+//            with unexpected lengths.  By default these are tolerated.
+//  - lengthFormat: Either 'rfc1002', the default, or 'smb2-direct'.
+function decode(buf, offset, opts) {
+  offset = offset || 0;
+
+  var header = decodeHeader(buf, offset, opts);
+  if (!header || header.error) {
+    return header;
+  }
+
+  var total = header.bytesRead + header.length;
+  if (buf.length - offset < total) {
+    return null;
+  }
+
+  var trailer = buf.slice(offset + header.bytesRead, offset + total);
+  var packet = decodeTrailer(header, trailer, opts);
+  packet.bytesRead = total;
+
+  return packet;
+}
+
+// Decode just the 4-byte packet header.  Returns null if there are not
+// enough bytes available.
+function decodeHeader(buf, offset, opts) {
+  offset = offset || 0;
+  opts = opts || {};
+
+  if (buf.length - offset < HEADER_LENGTH) {
+    return null;
+  }
+
+  if (opts.lengthFormat === SMB2_DIRECT) {
+    return _decodeSmb2Header(buf, offset, opts);
+  }
+
+  var bytes = offset;
+
+  // 8-bit type
+  var typeCode = buf.readUInt8(bytes);
+  bytes += 1;
+
+  // 8-bit flags
+  var flags = buf.readUInt8(bytes);
+  bytes += 1;
+
+  // 16-bit length of following trailer (plus 1-bit from the 8-bit flags above)
+  var length = buf.readUInt16BE(bytes);
+  bytes += 2;
+
+  // if the extension flag is set, then add it as a high order bit to the
+  // length
+  if (flags & FLAGS_E_MASK) {
+    length += EXTENSION_LENGTH;
+  }
+
+  var header = {
+    type: TYPE_TO_STRING[typeCode] || 'unknown',
+    typeCode: typeCode,
+    flags: flags,
+    length: length,
+    bytesRead: HEADER_LENGTH
+  };
+
+  if (opts.strict) {
+    var error = null;
+    if (header.type === 'unknown') {
+      error = new errors.MalformedPacketError(
+        'Unknown packet type [0x' + typeCode.toString(16) + ']', null);
+    } else if (flags & FLAGS_RESERVED_MASK) {
+      error = new errors.MalformedPacketError(
+        'Reserved flag bits set [0x' + flags.toString(16) + ']', header.type);
+    }
+
+    if (error) {
+      return { error: error, bytesRead: HEADER_LENGTH + length };
+    }
+  }
+
+  return header;
+}
+
+// The first byte must be zero.  Anything else is not a message.
+function _decodeSmb2Header(buf, offset, opts) {
+  var typeCode = buf.readUInt8(offset);
+  var length = (buf.readUInt8(offset + 1) << 16) +
+               buf.readUInt16BE(offset + 2);
+
+  var header = {
+    type: typeCode === 0 ? 'message' : 'unknown',
+    typeCode: typeCode,
+    flags: 0,
+    length: length,
+    bytesRead: HEADER_LENGTH
+  };
+
+  if (opts.strict && typeCode !== 0) {
+    return {
+      error: new errors.MalformedPacketError(
+        'Unknown packet type [0x' + typeCode.toString(16) + ']', null),
+      bytesRead: HEADER_LENGTH + length
+    };
+  }
+
+  return header;
+}
+
+function _maxLength(opts) {
+  return MAX_LENGTH[opts.lengthFormat] || MAX_TRAILER_LENGTH;
+}
+
+// Decode the trailer of a packet given its already decoded header.  The
+// trailer buffer must contain exactly the trailer bytes.
+function decodeTrailer(header, trailer, opts) {
+  opts = opts || {};
+
+  var type = header.type;
+  var packet = {
+    type: type,
+    typeCode: header.typeCode,
+    flags: header.flags,
+    length: header.length
+  };
+
+  var expected = FIXED_LENGTH[type];
+  if (typeof expected === 'number' && trailer.length !== expected &&
+      (opts.strict || trailer.length < expected)) {
+    return {
+      error: new errors.MalformedPacketError(
+        'Malformed ' + type + '.  Expected [' + expected + '] trailer bytes ' +
+        'but found [' + trailer.length + '].', type)
+    };
+  }
+
+  if (type === 'message' || type === 'unknown') {
+    packet.data = trailer;
+
+  } else if (type === 'request') {
+    var callTo = _readName(trailer, 0);
+    if (callTo.error) {
+      return { error: _requestError(callTo.error) };
+    }
+
+    var callFrom = _readName(trailer, callTo.bytesRead);
+    if (callFrom.error) {
+      return { error: _requestError(callFrom.error) };
+    }
+
+    var used = callTo.bytesRead + callFrom.bytesRead;
+    if (opts.strict && used !== trailer.length) {
+      return {
+        error: new errors.MalformedPacketError(
+          'Malformed session request: [' + (trailer.length - used) +
+          '] unexpected bytes after names', type)
+      };
+    }
+
+    packet.callTo = callTo;
+    packet.callFrom = callFrom;
+
+  } else if (type === 'negative response') {
+    packet.errorCode = trailer.readUInt8(0);
+    packet.reason = ERROR_CODE_TO_STRING[packet.errorCode] || 'unknown error';
+
+  } else if (type === 'retarget response') {
+    // 32-bit IP address followed by a 16-bit port
+    packet.host = [trailer.readUInt8(0), trailer.readUInt8(1),
+                   trailer.readUInt8(2), trailer.readUInt8(3)].join('.');
+    packet.port = trailer.readUInt16BE(4);
+  }
+
+  return packet;
+}
+
+function _writeName(nbname, buf, offset, type) {
+  if (!nbname || typeof nbname.write !== 'function') {
+    return _encodeError('Session request requires NetbiosName objects ' +
+                        'for callTo and callFrom.', type);
+  }
+  return nbname.write(buf, offset);
+}
+
+function _encodeError(message, type) {
+  return { error: new errors.MalformedPacketError(message, type) };
+}
+
+function _isInteger(value, min, max) {
+  return typeof value === 'number' && value % 1 === 0 && value >= min &&
+         value <= max;
+}
+
+// The name parser assumes the buffer is long enough, so guard against
+// truncated names here.
+function _readName(buf, offset) {
+  if (offset >= buf.length) {
+    return { error: new Error('Name extends past end of packet.') };
+  }
+
+  try {
+    return NBName.fromBuffer(buf, offset);
+  } catch (error) {
+    return { error: new Error('Name extends past end of packet.') };
+  }
+}
+
+function _requestError(cause) {
+  var error = new errors.MalformedPacketError(
+    'Malformed session request: ' + cause.message, 'request');
+  error.cause = cause;
+  return error;
+}
@@ -0,0 +1,94 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// Small helpers shared by the modules of this package.  Not part of the
+// public API.
+
+module.exports.merge = merge;
+module.exports.defer = defer;
+module.exports.listen = listen;
+module.exports.close = close;
+module.exports.address = address;
+
+var DEFAULT_PORT = 139;
+
+// Run the function once the current I/O events have been handled
+function defer(fn) {
+  if (typeof setImmediate === 'function') {
+    setImmediate(fn);
+    return;
+  }
+  process.nextTick(fn);
+}
+
+// Copy the properties of both objects into a new one.  Those of b win and
+// undefined values are skipped.
+function merge(a, b) {
+  var result = {};
+  [a || {}, b || {}].forEach(function(obj) {
+    Object.keys(obj).forEach(function(key) {
+      if (obj[key] !== undefined) {
+        result[key] = obj[key];
+      }
+    });
+  });
+  return result;
+}
+
+// The servers and proxies wrap a net.Server in this._server and re-emit its
+// 'listening' and 'close' events.  These methods are shared on their
+// prototypes.
+function listen(port, host, callback) {
+  if (typeof port === 'function') {
+    callback = port;
+    port = DEFAULT_PORT;
+  } else if (typeof host === 'function') {
+    callback = host;
+    host = undefined;
+  }
+
+  if (typeof port !== 'number') {
+    port = DEFAULT_PORT;
+  }
+
+  if (typeof callback === 'function') {
+    this.once('listening', callback);
+  }
+
+  this._server.listen(port, host);
+  return this;
+}
+
+function close(callback) {
+  if (typeof callback === 'function') {
+    this.once('close', callback);
+  }
+  this._server.close();
+  return this;
+}
+
+function address() {
+  return this._server.address();
+}
@@ -0,0 +1,128 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var util = require('util');
+
+module.exports.SessionError = SessionError;
+module.exports.SessionRejectedError = SessionRejectedError;
+module.exports.MalformedPacketError = MalformedPacketError;
+module.exports.SessionStateError = SessionStateError;
+module.exports.MessageTooLongError = MessageTooLongError;
+module.exports.SessionTimeoutError = SessionTimeoutError;
+module.exports.LmhostsParseError = LmhostsParseError;
+
+// Base class for all errors produced by the session.  The session fills in
+// the names and remote address when they are known.
+function SessionError(message) {
+  Error.call(this);
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name = 'SessionError';
+  this.message = message;
+  this.callTo = null;
+  this.callFrom = null;
+  this.remoteAddress = null;
+}
+util.inherits(SessionError, Error);
+
+// Raised when the remote host sends a negative response to our session
+// request.  The rfcCode is the error code from the response as defined in
+// RFC1002 section 4.3.4.
+function SessionRejectedError(rfcCode, reason) {
+  SessionError.call(this, 'Connection failed with response code [' +
+                          reason + ']');
+  this.name = 'SessionRejectedError';
+  this.code = 'ESESSIONREJECTED';
+  this.rfcCode = rfcCode;
+  this.reason = reason;
+}
+util.inherits(SessionRejectedError, SessionError);
+
+SessionRejectedError.NOT_LISTENING_ON_CALLED_NAME = 0x80;
+SessionRejectedError.NOT_LISTENING_FOR_CALLING_NAME = 0x81;
+SessionRejectedError.CALLED_NAME_NOT_PRESENT = 0x82;
+SessionRejectedError.INSUFFICIENT_RESOURCES = 0x83;
+SessionRejectedError.UNSPECIFIED_ERROR = 0x8f;
+
+// Raised when a packet from the remote peer cannot be parsed, or when
+// codec.encode() is given a packet it cannot encode.
+function MalformedPacketError(message, packetType) {
+  SessionError.call(this, message);
+  this.name = 'MalformedPacketError';
+  this.code = 'EMALFORMED';
+  this.packetType = packetType || null;
+}
+util.inherits(MalformedPacketError, SessionError);
+
+// Raised when an operation is not valid in the current session mode.
+function SessionStateError(message, mode) {
+  SessionError.call(this, message);
+  this.name = 'SessionStateError';
+  this.code = 'ESTATE';
+  this.mode = mode || null;
+}
+util.inherits(SessionStateError, SessionError);
+
+// Raised when a message is too large to be framed in a single packet.
+function MessageTooLongError(length, maxLength) {
+  SessionError.call(this, 'Message length [' + length +
+                          '] exceeds maximum [' + maxLength + ']');
+  this.name = 'MessageTooLongError';
+  this.code = 'EMSGSIZE';
+  this.length = length;
+  this.maxLength = maxLength;
+}
+util.inherits(MessageTooLongError, SessionError);
+
+// Raised when a connection or session negotiation takes too long.  The
+// phase is either 'connect' or 'handshake', or 'acquire' when waiting for a
+// pooled session.
+function SessionTimeoutError(phase, timeout) {
+  SessionError.call(this, 'Session ' + phase + ' timed out after [' +
+                          timeout + '] ms');
+  this.name = 'SessionTimeoutError';
+  this.code = 'ETIMEDOUT';
+  this.phase = phase;
+  this.timeout = timeout;
+}
+util.inherits(SessionTimeoutError, SessionError);
+
+// Raised when an LMHOSTS file cannot be parsed.  This is not a SessionError
+// since it does not involve any session.  The line number starts at 1.
+function LmhostsParseError(message, file, line) {
+  Error.call(this);
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name = 'LmhostsParseError';
+  this.code = 'ELMHOSTS';
+  this.message = message + ' on line [' + line + ']' +
+                 (file ? ' of [' + file + ']' : '');
+  this.file = file || null;
+  this.line = line;
+}
+util.inherits(LmhostsParseError, Error);
@@ -24,44 +24,25 @@
 'use strict';
 
 var Session = require('../session');
-var net = require('net');
 
 var FWD_PORT = 445;
 var FWD_HOST = '127.0.0.1';
 
-var server = net.createServer(function(socket) {
-  var sessionIn = new Session({paused: true, autoAccept: true});
-
-  sessionIn.on('connect', function() {
-    var sessionOut = new Session({direct: true});
-
-    var errorHandler = function(error) {
-      console.log(error);
-      sessionIn.end();
-      sessionOut.end();
-    };
-    sessionIn.on('error', errorHandler);
-    sessionOut.on('error', errorHandler);
-
-    sessionIn.on('message', _forward.bind(null, sessionOut, sessionIn));
-    sessionOut.on('message', _forward.bind(null, sessionIn, sessionOut));
-
-    sessionOut.on('connect', sessionIn.resume.bind(sessionIn));
-
-    sessionOut.connect(FWD_PORT, FWD_HOST);
-  });
+// Accept 139 style sessions and forward them to a 445 style direct mode
+// server.
+var proxy = Session.createProxy({
+  upstream: { host: FWD_HOST, port: FWD_PORT, direct: true }
+});
 
-  sessionIn.attach(socket);
+proxy.on('connectionError', function(error, conn) {
+  console.log(error);
 });
 
-function _forward(dst, src, msg) {
-  var flushed = dst.write(msg);
-  if (!flushed) {
-    src.pause();
-    dst.once('drain', src.resume.bind(src));
-  }
-}
+proxy.on('connectionEnd', function(conn) {
+  console.log('forwarded ' + conn.messagesIn + ' messages in and ' +
+              conn.messagesOut + ' messages out for ' + conn.remoteAddress);
+});
 
-server.listen(139, function() {
+proxy.listen(139, function() {
   console.log('netbios-fwd started');
 });
@@ -0,0 +1,169 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// Limits that protect a server from being flooded with sessions.  Counts
+// of concurrent sessions are kept overall, per remote address and per
+// called name.  Token buckets limit the rate of new session requests and
+// of received message bytes.
+
+module.exports.SessionLimits = SessionLimits;
+module.exports.TokenBucket = TokenBucket;
+
+// A bucket holding up to burst tokens that refills at rate tokens per
+// second.  The burst defaults to one second worth of tokens.
+function TokenBucket(rate, burst) {
+  var self = this instanceof TokenBucket
+           ? this
+           : Object.create(TokenBucket.prototype);
+
+  if (typeof rate !== 'number' || rate <= 0) {
+    throw new Error('Invalid token bucket rate [' + rate + ']');
+  }
+
+  self.rate = rate;
+  self.burst = (typeof burst === 'number' && burst > 0) ? burst : rate;
+  self.tokens = self.burst;
+  self._last = Date.now();
+
+  return self;
+}
+
+// Remove the tokens only if they are all available
+TokenBucket.prototype.tryRemove = function(count) {
+  this._refill();
+  if (this.tokens < count) {
+    return false;
+  }
+  this.tokens -= count;
+  return true;
+};
+
+// Remove the tokens even if this leaves the bucket in debt.  Returns the
+// number of milliseconds until the debt is paid off, or 0 if there is none.
+// This allows amounts larger than the burst to be limited as well.
+TokenBucket.prototype.remove = function(count) {
+  this._refill();
+  this.tokens -= count;
+  if (this.tokens >= 0) {
+    return 0;
+  }
+  return Math.ceil(-this.tokens * 1000 / this.rate);
+};
+
+TokenBucket.prototype._refill = function() {
+  var now = Date.now();
+  var elapsed = now - this._last;
+  this._last = now;
+  this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate / 1000);
+};
+
+// Options:
+//  - maxSessions: Concurrent sessions allowed overall
+//  - maxSessionsPerAddress: Concurrent sessions allowed from one address
+//  - maxSessionsPerName: Concurrent sessions allowed for one called name
+//  - requestRate, requestBurst: Session requests per second
+//  - receiveRate, receiveBurst: Received message bytes per second, shared
+//    by all of the sessions
+//
+// A limit of 0 or leaving it unset means there is no limit.
+function SessionLimits(opts) {
+  var self = this instanceof SessionLimits
+           ? this
+           : Object.create(SessionLimits.prototype);
+
+  opts = opts || {};
+
+  self.maxSessions = opts.maxSessions || 0;
+  self.maxSessionsPerAddress = opts.maxSessionsPerAddress || 0;
+  self.maxSessionsPerName = opts.maxSessionsPerName || 0;
+
+  self.requestBucket = opts.requestRate
+                     ? new TokenBucket(opts.requestRate, opts.requestBurst)
+                     : null;
+  self.receiveBucket = opts.receiveRate
+                     ? new TokenBucket(opts.receiveRate, opts.receiveBurst)
+                     : null;
+
+  self._entries = [];
+
+  return self;
+}
+
+// Count a new connection against the overall and per address limits.  This
+// happens as soon as the connection is accepted so that connections which
+// never send a session request still count.  Returns null if the connection
+// is allowed.  Otherwise, returns the name of the limit that was exceeded
+// and the connection is not counted.
+SessionLimits.prototype.acquire = function(session, remoteAddress) {
+  if (this.maxSessions && this._entries.length >= this.maxSessions) {
+    return 'maxSessions';
+  }
+
+  if (this.maxSessionsPerAddress && remoteAddress &&
+      this._count('remoteAddress', remoteAddress) >=
+      this.maxSessionsPerAddress) {
+    return 'maxSessionsPerAddress';
+  }
+
+  this._entries.push({ session: session, remoteAddress: remoteAddress,
+                       name: null });
+  return null;
+};
+
+// Count the session request of a connection that was already acquired.
+// The callTo is null for direct sessions, which only count against the
+// request rate.  Returns null or the name of the exceeded limit like
+// acquire().
+SessionLimits.prototype.acquireName = function(session, callTo) {
+  var name = callTo ? callTo.toString().toUpperCase() : null;
+
+  if (this.requestBucket && !this.requestBucket.tryRemove(1)) {
+    return 'requestRate';
+  }
+
+  if (this.maxSessionsPerName && name &&
+      this._count('name', name) >= this.maxSessionsPerName) {
+    return 'maxSessionsPerName';
+  }
+
+  this._entries.forEach(function(entry) {
+    if (entry.session === session) {
+      entry.name = name;
+    }
+  });
+  return null;
+};
+
+SessionLimits.prototype.release = function(session) {
+  this._entries = this._entries.filter(function(entry) {
+    return entry.session !== session;
+  });
+};
+
+SessionLimits.prototype._count = function(key, value) {
+  return this._entries.filter(function(entry) {
+    return entry[key] === value;
+  }).length;
+};
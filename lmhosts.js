@@ -0,0 +1,545 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// LMHOSTS files map NetBIOS names to IPv4 addresses in the same way that a
+// hosts file maps DNS names.  Each line holds an address, a name and any of
+// the #PRE, #DOM: and #MH keywords.  Other files may be pulled in with
+// #INCLUDE, optionally grouped in an alternate block where only the first
+// file that can be read is used:
+//
+//   102.54.94.97     rhino                    #PRE #DOM:networking
+//   102.54.94.123    "appname        \0x14"   #MH  # suffix 0x14
+//   #BEGIN_ALTERNATE
+//   #INCLUDE \\localsrv\public\lmhosts
+//   #INCLUDE \\rhino\public\lmhosts
+//   #END_ALTERNATE
+//
+// Any other line starting with '#' is a comment.
+
+var common = require('./common');
+var errors = require('./errors');
+var names = require('./names');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+var util = require('util');
+
+module.exports.parse = parse;
+module.exports.load = load;
+module.exports.toTable = toTable;
+module.exports.createTable = createTable;
+module.exports.LmhostsTable = LmhostsTable;
+
+var MAX_NAME_LENGTH = 15;
+var MAX_INCLUDE_DEPTH = 8;
+var DEFAULT_WATCH_INTERVAL = 5000;
+
+// Parse the text of an LMHOSTS file.  Returns an object with the entries
+// and the #INCLUDE directives in the file, or an error describing the first
+// line that could not be parsed.  Includes are not read here.  Each one
+// records the index in the entries where the included file belongs.
+//
+// Options:
+//  - file: The file name to record in entries and errors.
+function parse(text, opts) {
+  opts = opts || {};
+
+  var file = opts.file || null;
+  var entries = [];
+  var includes = [];
+  var alternate = null;
+
+  var lines = String(text).split(/\r?\n/);
+  for (var i = 0; i < lines.length; ++i) {
+    var lineNumber = i + 1;
+    var line = lines[i].trim();
+
+    if (!line) {
+      continue;
+    }
+
+    if (line.charAt(0) === '#') {
+      var directive = _parseDirective(line);
+      if (!directive) {
+        continue;
+      }
+
+      if (directive.keyword === 'BEGIN_ALTERNATE') {
+        if (alternate) {
+          return _error('Nested #BEGIN_ALTERNATE', file, lineNumber);
+        }
+        alternate = { index: entries.length, paths: [], file: file,
+                      line: lineNumber };
+
+      } else if (directive.keyword === 'END_ALTERNATE') {
+        if (!alternate) {
+          return _error('#END_ALTERNATE without #BEGIN_ALTERNATE', file,
+                        lineNumber);
+        }
+        if (alternate.paths.length > 0) {
+          includes.push(alternate);
+        }
+        alternate = null;
+
+      } else if (!directive.arg) {
+        return _error('Missing path for #INCLUDE', file, lineNumber);
+
+      } else if (alternate) {
+        alternate.paths.push(directive.arg);
+
+      } else {
+        includes.push({ index: entries.length, paths: [directive.arg],
+                        file: file, line: lineNumber });
+      }
+      continue;
+    }
+
+    if (alternate) {
+      return _error('Only #INCLUDE is allowed in an alternate block', file,
+                    lineNumber);
+    }
+
+    var entry = _parseEntry(line);
+    if (entry.error) {
+      return _error(entry.error, file, lineNumber);
+    }
+
+    entry.file = file;
+    entry.line = lineNumber;
+    entries.push(entry);
+  }
+
+  if (alternate) {
+    return _error('Missing #END_ALTERNATE', file, alternate.line);
+  }
+
+  return { entries: entries, includes: includes };
+}
+
+// Read an LMHOSTS file along with any files it includes.  Relative #INCLUDE
+// paths are found from the directory of the including file.  The callback
+// receives the entries in file order and the list of files that were read.
+function load(file, callback) {
+  _load(file, 0, callback);
+}
+
+// Merge the entries into the array form accepted by createStaticResolver().
+// As on Windows, the first entry for a name is used unless it or a later
+// entry is marked #MH, in which case the addresses are combined.
+function toTable(entries) {
+  var table = [];
+  var rows = Object.create(null);
+
+  entries.forEach(function(entry) {
+    var key = entry.name + '<' + entry.suffix + '>';
+    var row = rows[key];
+
+    if (!row) {
+      row = rows[key] = {
+        name: { name: entry.name, suffix: entry.suffix },
+        addresses: [entry.address],
+        multihomed: entry.multihomed
+      };
+      table.push(row);
+      return;
+    }
+
+    if ((row.multihomed || entry.multihomed) &&
+        row.addresses.indexOf(entry.address) < 0) {
+      row.multihomed = true;
+      row.addresses.push(entry.address);
+    }
+  });
+
+  return table.map(function(row) {
+    return { name: row.name, addresses: row.addresses };
+  });
+}
+
+// Load an LMHOSTS file into a new LmhostsTable.  The callback receives the
+// table once its entries are available.
+function createTable(file, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  var table = new LmhostsTable(file, opts);
+  table.reload(function(error) {
+    if (error) {
+      table.close();
+      callback(error);
+      return;
+    }
+    callback(null, table);
+  });
+}
+
+util.inherits(LmhostsTable, EventEmitter);
+
+// The entries of an LMHOSTS file that can be looked up by name.  The table
+// is empty until reload() completes.  When watching, the file and the files
+// it includes are polled and reloaded after they change.  If the new text
+// cannot be parsed, then the previous entries are kept.
+//
+// Options:
+//  - watch: Reload when the files change.  Default false.
+//  - interval: Milliseconds between polls when watching.  Defaults to 5000.
+function LmhostsTable(file, opts) {
+  var self = this instanceof LmhostsTable
+           ? this
+           : Object.create(LmhostsTable.prototype);
+
+  opts = opts || {};
+
+  EventEmitter.call(self);
+
+  self.file = file;
+  self.entries = [];
+  self._rows = [];
+  self._watch = !!opts.watch;
+  self._interval = opts.interval || DEFAULT_WATCH_INTERVAL;
+  self._watched = [];
+  self._onChange = self._changed.bind(self);
+  self._reloading = false;
+  self._reloadAgain = false;
+  self._callbacks = [];
+  self._closed = false;
+
+  // Bound so that the table can be passed directly as a resolver
+  self.resolve = self.resolve.bind(self);
+
+  return self;
+}
+
+// Read the file again.  A reload requested while one is in progress is
+// made once the current one finishes.
+LmhostsTable.prototype.reload = function(callback) {
+  var self = this;
+
+  if (typeof callback === 'function') {
+    self._callbacks.push(callback);
+  }
+
+  if (self._reloading) {
+    self._reloadAgain = true;
+    return;
+  }
+
+  self._reloading = true;
+  self._reloadAgain = false;
+
+  var callbacks = self._callbacks;
+  self._callbacks = [];
+
+  load(self.file, function(error, entries, files) {
+    self._reloading = false;
+
+    if (self._closed) {
+      return;
+    }
+
+    if (!error) {
+      self.entries = entries;
+      self._rows = toTable(entries).map(function(row) {
+        var pattern = names.parse(row.name);
+        pattern.addresses = row.addresses;
+        return pattern;
+      });
+    }
+
+    // Keep watching the old files so that a broken edit can be fixed
+    if (self._watch) {
+      self._watchFiles(files || [self.file].concat(self._watched));
+    }
+
+    if (callbacks.length > 0) {
+      callbacks.forEach(function(cb) {
+        cb(error || null);
+      });
+    } else if (error) {
+      self.emit('error', error);
+    }
+
+    if (!error) {
+      self.emit('reload', entries);
+    }
+
+    if (self._reloadAgain) {
+      self.reload();
+    }
+  });
+};
+
+// Returns the addresses for the NetbiosName, or an empty array if it is
+// not in the table.
+LmhostsTable.prototype.lookup = function(nbname) {
+  for (var i = 0; i < this._rows.length; ++i) {
+    if (names.match(this._rows[i], nbname)) {
+      return this._rows[i].addresses.slice();
+    }
+  }
+  return [];
+};
+
+// A resolver for NetbiosSession.connect() that uses the table
+LmhostsTable.prototype.resolve = function(nbname, callback) {
+  common.defer(callback.bind(null, null, this.lookup(nbname)));
+};
+
+LmhostsTable.prototype.close = function() {
+  this._closed = true;
+  this._watchFiles([]);
+};
+
+LmhostsTable.prototype._watchFiles = function(files) {
+  var self = this;
+
+  self._watched.forEach(function(file) {
+    if (files.indexOf(file) < 0) {
+      fs.unwatchFile(file, self._onChange);
+    }
+  });
+
+  files.forEach(function(file) {
+    if (self._watched.indexOf(file) < 0) {
+      fs.watchFile(file, { interval: self._interval }, self._onChange);
+    }
+  });
+
+  self._watched = files.filter(function(file, index) {
+    return files.indexOf(file) === index;
+  });
+};
+
+LmhostsTable.prototype._changed = function(curr, prev) {
+  if (curr.mtime.getTime() !== prev.mtime.getTime() ||
+      curr.size !== prev.size) {
+    this.reload();
+  }
+};
+
+function _load(file, depth, callback) {
+  fs.readFile(file, 'utf8', function(error, text) {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    var res = parse(text, { file: file });
+    if (res.error) {
+      callback(res.error);
+      return;
+    }
+
+    var entries = [];
+    var files = [file];
+    var position = 0;
+    var index = 0;
+
+    var next = function() {
+      if (index >= res.includes.length) {
+        callback(null, entries.concat(res.entries.slice(position)), files);
+        return;
+      }
+
+      var include = res.includes[index];
+      index += 1;
+
+      entries = entries.concat(res.entries.slice(position, include.index));
+      position = include.index;
+
+      if (depth >= MAX_INCLUDE_DEPTH) {
+        callback(new errors.LmhostsParseError(
+          'More than [' + MAX_INCLUDE_DEPTH + '] nested #INCLUDE files',
+          include.file, include.line));
+        return;
+      }
+
+      _loadInclude(include, depth + 1, function(error, included,
+                                                includedFiles) {
+        if (error) {
+          callback(error);
+          return;
+        }
+        entries = entries.concat(included);
+        files = files.concat(includedFiles);
+        next();
+      });
+    };
+
+    next();
+  });
+}
+
+// Try each path of the include in order.  A file that cannot be read is
+// skipped, but one that cannot be parsed is an error.
+function _loadInclude(include, depth, callback) {
+  var dir = path.dirname(include.file);
+  var index = 0;
+  var lastError = null;
+
+  var next = function() {
+    if (index >= include.paths.length) {
+      var error = new errors.LmhostsParseError(
+        'Unable to read #INCLUDE [' + include.paths.join(', ') + ']',
+        include.file, include.line);
+      error.cause = lastError;
+      callback(error);
+      return;
+    }
+
+    var file = path.resolve(dir, include.paths[index]);
+    index += 1;
+
+    _load(file, depth, function(error, entries, files) {
+      if (error && !(error instanceof errors.LmhostsParseError)) {
+        lastError = error;
+        next();
+        return;
+      }
+      callback(error, entries, files);
+    });
+  };
+
+  next();
+}
+
+// Returns null for a comment
+function _parseDirective(line) {
+  var match = /^#(INCLUDE|BEGIN_ALTERNATE|END_ALTERNATE)(?:\s+(.*))?$/i
+              .exec(line);
+  if (!match) {
+    return null;
+  }
+
+  var arg = (match[2] || '').trim();
+  if (arg.length > 1 && arg.charAt(0) === '"' &&
+      arg.charAt(arg.length - 1) === '"') {
+    arg = arg.slice(1, -1);
+  }
+
+  return { keyword: match[1].toUpperCase(), arg: arg };
+}
+
+function _parseEntry(line) {
+  var match = /^(\S+)\s+(.*)$/.exec(line);
+  if (!match) {
+    return { error: 'Missing name for address [' + line + ']' };
+  }
+
+  var address = match[1];
+  if (!net.isIPv4(address)) {
+    return { error: 'Invalid address [' + address + ']' };
+  }
+
+  var rest = match[2];
+  var name = null;
+  var suffix;
+
+  // A quoted name may contain spaces and \0xNN escapes.  If it is padded to
+  // 16 characters, then the last one is the suffix.
+  if (rest.charAt(0) === '"') {
+    var close = rest.indexOf('"', 1);
+    if (close < 0) {
+      return { error: 'Missing closing quote for name' };
+    }
+
+    name = rest.slice(1, close).replace(/\\0x([0-9a-f]{2})/gi,
+                                        function(all, hex) {
+      return String.fromCharCode(parseInt(hex, 16));
+    });
+    rest = rest.slice(close + 1);
+
+    if (name.length > MAX_NAME_LENGTH + 1) {
+      return { error: 'Name [' + name + '] is longer than [' +
+                      (MAX_NAME_LENGTH + 1) + '] characters' };
+    }
+
+    if (name.length === MAX_NAME_LENGTH + 1) {
+      suffix = name.charCodeAt(MAX_NAME_LENGTH);
+      name = name.slice(0, MAX_NAME_LENGTH);
+    }
+    name = name.replace(/ +$/, '');
+
+  } else {
+    var end = rest.search(/\s/);
+    if (end < 0) {
+      end = rest.length;
+    }
+
+    name = rest.slice(0, end);
+    rest = rest.slice(end);
+
+    if (name.charAt(0) === '#') {
+      return { error: 'Missing name for address [' + address + ']' };
+    }
+
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: 'Name [' + name + '] is longer than [' +
+                      MAX_NAME_LENGTH + '] characters' };
+    }
+  }
+
+  if (!name) {
+    return { error: 'Missing name for address [' + address + ']' };
+  }
+
+  var entry = {
+    name: name.toUpperCase(),
+    suffix: suffix,
+    address: address,
+    preload: false,
+    domain: null,
+    multihomed: false
+  };
+
+  // Keywords must come before any comment
+  var words = rest.trim().split(/\s+/);
+  for (var i = 0; i < words.length && words[i]; ++i) {
+    var word = words[i].toUpperCase();
+    if (word === '#PRE') {
+      entry.preload = true;
+    } else if (word === '#MH') {
+      entry.multihomed = true;
+    } else if (word.indexOf('#DOM:') === 0) {
+      entry.domain = words[i].slice(5);
+      if (!entry.domain) {
+        return { error: 'Missing domain for #DOM:' };
+      }
+    } else if (word.charAt(0) === '#') {
+      break;
+    } else {
+      return { error: 'Unexpected text [' + words[i] + ']' };
+    }
+  }
+
+  return entry;
+}
+
+function _error(message, file, line) {
+  return { error: new errors.LmhostsParseError(message, file, line) };
+}
@@ -0,0 +1,163 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+// Streams for the body of a single message.  These let large messages be
+// received or sent in pieces instead of holding the whole message in one
+// Buffer.
+
+module.exports.IncomingMessage = IncomingMessage;
+module.exports.OutgoingMessage = OutgoingMessage;
+
+var errors = require('./errors');
+var util = require('util');
+
+// Streams2 compat for v0.8 and v0.9
+var stream = require('stream');
+var Readable = stream.Readable;
+var Writable = stream.Writable;
+if (!Readable) {
+  Readable = require('readable-stream');
+  Writable = Readable.Writable;
+}
+
+util.inherits(IncomingMessage, Readable);
+
+// The body of a message received from the remote peer.  The session pushes
+// the bytes as they arrive and stops reading from the socket while this
+// stream is full.
+function IncomingMessage(session, length) {
+  Readable.call(this);
+  this.length = length;
+  this._session = session;
+}
+
+IncomingMessage.prototype._read = function() {
+  this._session._resumeMessageStream();
+};
+
+util.inherits(OutgoingMessage, Writable);
+
+// The body of a message being sent to the remote peer.  The message header
+// requires the total length up front.  Once the message reaches the front
+// of the session's write queue, the bytes written here are passed straight
+// to the socket.  Other messages are held until this one is complete.
+function OutgoingMessage(session, length) {
+  var self = this;
+
+  Writable.call(self);
+
+  self.length = length;
+  self._session = session;
+  self._remaining = length;
+  self._socket = null;
+  self._done = null;
+  self._pending = null;
+  self._error = null;
+
+  // The header promised more bytes than were written, so the session can
+  // not send anything else.
+  self.once('finish', function() {
+    if (self._remaining > 0) {
+      self._fail(new errors.SessionError(
+        'Message stream ended [' + self._remaining + '] bytes short of ' +
+        'its length [' + self.length + ']'));
+    }
+  });
+}
+
+OutgoingMessage.prototype._write = function(chunk, encoding, callback) {
+  if (chunk.length > this._remaining) {
+    var error = new errors.MessageTooLongError(
+      this.length - this._remaining + chunk.length, this.length);
+    this._fail(error);
+    callback(error);
+    return;
+  }
+
+  if (!this._socket) {
+    this._pending = { chunk: chunk, callback: callback };
+    return;
+  }
+
+  this._send(chunk, callback);
+};
+
+// Called by the session once the message header has been written
+OutgoingMessage.prototype._start = function(socket, done) {
+  this._socket = socket;
+  this._done = done;
+
+  if (this._error) {
+    this._complete(this._error);
+    return;
+  }
+
+  if (this._remaining < 1) {
+    this._complete(null);
+    return;
+  }
+
+  var pending = this._pending;
+  if (pending) {
+    this._pending = null;
+    this._send(pending.chunk, pending.callback);
+  }
+};
+
+OutgoingMessage.prototype._send = function(chunk, callback) {
+  this._remaining -= chunk.length;
+  this._session._messageStreamSent(chunk);
+
+  var flushed = this._socket.write(chunk);
+
+  if (this._remaining < 1) {
+    this._complete(null);
+  }
+
+  if (!flushed) {
+    this._socket.once('drain', callback);
+    return;
+  }
+
+  callback();
+};
+
+// Report the error to the session now if it is waiting on us, or once the
+// message reaches the front of the queue.
+OutgoingMessage.prototype._fail = function(error) {
+  this._error = this._error || error;
+  if (this._socket) {
+    this._complete(this._error);
+  }
+};
+
+OutgoingMessage.prototype._complete = function(error) {
+  var done = this._done;
+  this._done = null;
+  if (typeof done === 'function') {
+    done(error);
+  }
+};
@@ -0,0 +1,485 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// Carry many independent byte streams, called channels, over the messages
+// of a single session.  Each message holds one frame:
+//
+//   type (1 byte) | channel id (4 bytes) | body
+//
+//   OPEN    The body is the opener's receive window (4 bytes).
+//   DATA    The body is channel data.
+//   WINDOW  The body is the number of additional bytes the peer may send
+//           on the channel (4 bytes).
+//   CLOSE   No body.  The sender will not send any more data.
+//   RESET   No body.  The channel is abandoned in both directions.
+//
+// A channel is accepted by answering OPEN with a WINDOW frame or refused
+// with RESET.  No data may be sent until the first WINDOW frame arrives.
+// The side that called connect() uses odd channel ids and the other side
+// uses even ids, so both may open channels at the same time.
+
+module.exports.Multiplexer = Multiplexer;
+module.exports.Channel = Channel;
+
+var errors = require('./errors');
+var util = require('util');
+
+// Streams2 compat for v0.8 and v0.9
+var Duplex = require('stream').Duplex;
+if (!Duplex) {
+  Duplex = require('readable-stream').Duplex;
+}
+
+var TYPE_OPEN = 1;
+var TYPE_DATA = 2;
+var TYPE_WINDOW = 3;
+var TYPE_CLOSE = 4;
+var TYPE_RESET = 5;
+
+var FRAME_HEADER_LENGTH = 5;
+var MAX_CHANNEL_ID = 0xffffffff;
+var MAX_WINDOW = 0xffffffff;
+
+var DEFAULT_WINDOW = 64 * 1024;
+var DEFAULT_MAX_CHANNELS = 256;
+
+// Options:
+//  - window: Bytes each channel may receive before the reader consumes
+//            them.  Defaults to 65536.
+//  - maxChannels: The most channels the remote peer may have open at once.
+//                 Defaults to 256.
+function Multiplexer(session, opts) {
+  var self = this instanceof Multiplexer
+           ? this
+           : Object.create(Multiplexer.prototype);
+
+  opts = opts || {};
+
+  self._session = session;
+  self._window = Math.min(opts.window || DEFAULT_WINDOW, MAX_WINDOW);
+  self._maxChannels = opts.maxChannels || DEFAULT_MAX_CHANNELS;
+  self._maxData = session._sessionState.maxMessageLength -
+                  FRAME_HEADER_LENGTH;
+  self._channels = Object.create(null);
+  self._remoteCount = 0;
+  self._nextId = 0;
+  self._closed = false;
+
+  if (self._maxData < 1) {
+    throw new Error('maxMessageLength is too small for multiplexing');
+  }
+
+  session.on('data', self._onMessage.bind(self));
+
+  // Once the remote peer ends the session, channels that are still open
+  // can never be completed and new ones can not be answered.
+  var onClosed = function() {
+    self._closed = true;
+    self._abort();
+  };
+  session.once('end', onClosed);
+  session.once('close', onClosed);
+
+  return self;
+}
+
+Multiplexer.prototype.openChannel = function() {
+  var id = this._allocateId();
+  var channel = new Channel(this, id, this._window);
+
+  if (this._closed) {
+    var error = new errors.SessionStateError(
+      'Cannot open channel.  Session closed.', this._session.mode);
+    process.nextTick(channel._teardown.bind(channel, error));
+    return channel;
+  }
+
+  this._channels[id] = channel;
+  this._sendWindowFrame(TYPE_OPEN, id, this._window);
+  return channel;
+};
+
+Multiplexer.prototype.count = function() {
+  return Object.keys(this._channels).length;
+};
+
+// Ids are only reused after wrapping around, so a frame for a channel that
+// was just closed is not mistaken for a new one.
+Multiplexer.prototype._allocateId = function() {
+  var first = this._session._sessionState.inbound ? 2 : 1;
+  var id = this._nextId || first;
+
+  while (this._channels[id]) {
+    id = (id + 2 > MAX_CHANNEL_ID) ? first : id + 2;
+  }
+
+  this._nextId = (id + 2 > MAX_CHANNEL_ID) ? first : id + 2;
+  return id;
+};
+
+Multiplexer.prototype._onMessage = function(msg) {
+  if (!Buffer.isBuffer(msg)) {
+    return;
+  }
+
+  if (msg.length < FRAME_HEADER_LENGTH) {
+    this._protocolError('Multiplex frame length [' + msg.length +
+                        '] is too short');
+    return;
+  }
+
+  var type = msg[0];
+  var id = msg.readUInt32BE(1);
+  var body = msg.slice(FRAME_HEADER_LENGTH);
+  var channel = this._channels[id];
+
+  if ((type === TYPE_OPEN || type === TYPE_WINDOW) && body.length !== 4) {
+    this._protocolError('Invalid multiplex frame body length [' +
+                        body.length + ']');
+    return;
+  }
+
+  switch (type) {
+    case TYPE_OPEN:
+      if (channel) {
+        this._protocolError('Channel [' + id + '] is already open');
+        return;
+      }
+      this._accept(id, body.readUInt32BE(0));
+      return;
+
+    // Frames for a channel that was just reset may still arrive
+    case TYPE_DATA:
+      if (channel) {
+        if (!channel._receive(body)) {
+          this._protocolError('Channel [' + id + '] exceeded its window');
+        }
+      }
+      return;
+
+    case TYPE_WINDOW:
+      if (channel) {
+        channel._grant(body.readUInt32BE(0));
+      }
+      return;
+
+    case TYPE_CLOSE:
+      if (channel) {
+        channel._remoteClose();
+      }
+      return;
+
+    case TYPE_RESET:
+      if (channel) {
+        var error = new errors.SessionError(
+          'Channel [' + id + '] ' + (channel.opened ? 'reset' : 'refused') +
+          ' by remote peer');
+        error.code = channel.opened ? 'ECONNRESET' : 'ECONNREFUSED';
+        channel._teardown(this._session._annotateError(error));
+      }
+      return;
+
+    default:
+      this._protocolError('Unknown multiplex frame type [' + type + ']');
+  }
+};
+
+// Refuse the channel if nobody is listening for it or too many are open
+Multiplexer.prototype._accept = function(id, window) {
+  var session = this._session;
+
+  if (session.listeners('channel').length < 1 ||
+      this._remoteCount >= this._maxChannels) {
+    this._sendFrame(TYPE_RESET, id, null, null);
+    return;
+  }
+
+  var channel = new Channel(this, id, this._window);
+  channel._remote = true;
+  channel.opened = true;
+  channel._sendWindow = window;
+
+  this._remoteCount += 1;
+  this._channels[id] = channel;
+  this._sendWindowFrame(TYPE_WINDOW, id, this._window);
+
+  session.emit('channel', channel);
+};
+
+Multiplexer.prototype._remove = function(channel) {
+  if (this._channels[channel.id] === channel) {
+    delete this._channels[channel.id];
+    if (channel._remote) {
+      this._remoteCount -= 1;
+    }
+  }
+};
+
+Multiplexer.prototype._abort = function() {
+  var self = this;
+  Object.keys(self._channels).forEach(function(id) {
+    var channel = self._channels[id];
+    var error = new errors.SessionError(
+      'Session closed while channel [' + id + '] was open');
+    error.code = 'ECONNRESET';
+    channel._teardown(self._session._annotateError(error));
+  });
+};
+
+Multiplexer.prototype._protocolError = function(message) {
+  this._session.destroy(new errors.MalformedPacketError(message, 'message'));
+};
+
+// Once the session is ending, nothing more can be sent
+Multiplexer.prototype._writable = function() {
+  var session = this._session;
+  var state = session._writableState;
+  return !this._closed && !session.destroyed && !(state && state.ending);
+};
+
+Multiplexer.prototype._sendWindowFrame = function(type, id, window) {
+  var body = new Buffer(4);
+  body.writeUInt32BE(window, 0);
+  this._sendFrame(type, id, body, null);
+};
+
+// Control frames are simply dropped if the session can no longer be
+// written.  Data frames report the failure to their callback.
+Multiplexer.prototype._sendFrame = function(type, id, body, callback) {
+  if (!this._writable()) {
+    if (typeof callback === 'function') {
+      var error = new errors.SessionStateError(
+        'Cannot write to channel [' + id + '].  Session closed.',
+        this._session.mode);
+      process.nextTick(callback.bind(null, error));
+    }
+    return;
+  }
+
+  var length = body ? body.length : 0;
+  var frame = new Buffer(FRAME_HEADER_LENGTH + length);
+  frame[0] = type;
+  frame.writeUInt32BE(id, 1);
+  if (body) {
+    body.copy(frame, FRAME_HEADER_LENGTH);
+  }
+
+  this._session.write(frame, callback || undefined);
+};
+
+util.inherits(Channel, Duplex);
+
+// One logical byte stream within a multiplexed session.  Writes wait while
+// the remote peer's window is exhausted.  The remote peer is given more
+// window as the data we received is read.
+function Channel(mux, id, window) {
+  var self = this instanceof Channel
+           ? this
+           : Object.create(Channel.prototype);
+
+  // The channel emits its own 'close' event, so keep newer versions of
+  // streams from emitting one as well.  The window limits how much is
+  // buffered for the reader, so the readable side does not buffer ahead.
+  Duplex.call(self, { readableHighWaterMark: 0, autoDestroy: false,
+                      emitClose: false });
+
+  self.id = id;
+  self.opened = false;
+  self.destroyed = false;
+
+  self._mux = mux;
+  self._remote = false;
+  self._sendWindow = 0;
+  self._receiveWindow = window;
+  self._ungranted = 0;
+  self._grantThreshold = Math.ceil(window / 2);
+  self._pending = null;
+  self._finished = false;
+  self._ended = false;
+  self._remoteClosed = false;
+  self._closed = false;
+
+  // Tell the remote peer that we are done sending.  Reading continues
+  // until it is done as well.
+  self.once('finish', function() {
+    self._finished = true;
+    if (!self.destroyed) {
+      self._mux._sendFrame(TYPE_CLOSE, self.id, null, null);
+    }
+    self._maybeClose();
+  });
+
+  self.once('end', function() {
+    self._ended = true;
+    self._maybeClose();
+  });
+
+  return self;
+}
+
+// Abandon the channel in both directions.  Data that has not been sent yet
+// is discarded.
+Channel.prototype.destroy = function(error) {
+  if (this.destroyed) {
+    return this;
+  }
+  this._mux._sendFrame(TYPE_RESET, this.id, null, null);
+  this._teardown(error || null);
+  return this;
+};
+
+Channel.prototype._write = function(chunk, encoding, callback) {
+  if (this.destroyed) {
+    callback(new errors.SessionStateError(
+      'Cannot write to channel [' + this.id + '].  Channel destroyed.',
+      this._mux._session.mode));
+    return;
+  }
+
+  this._pending = { chunk: chunk, offset: 0, callback: callback };
+  this._flush();
+};
+
+// Send as much of the pending write as the remote window allows.  The
+// write completes once its last frame has been written by the session.
+Channel.prototype._flush = function() {
+  var self = this;
+  var pending = self._pending;
+
+  if (!pending || self.destroyed) {
+    return;
+  }
+
+  var done = function(error) {
+    if (self._pending === pending) {
+      self._pending = null;
+    }
+    if (!self.destroyed) {
+      pending.callback(error);
+    }
+  };
+
+  var length = pending.chunk.length;
+  while (pending.offset < length && self._sendWindow > 0) {
+    var size = Math.min(length - pending.offset, self._sendWindow,
+                        self._mux._maxData);
+    var data = pending.chunk.slice(pending.offset, pending.offset + size);
+
+    pending.offset += size;
+    self._sendWindow -= size;
+
+    self._mux._sendFrame(TYPE_DATA, self.id, data,
+                         pending.offset < length ? null : done);
+  }
+};
+
+Channel.prototype._read = function() {
+  this._maybeGrant();
+};
+
+// Returns false if the remote peer sent more than its window allowed
+Channel.prototype._receive = function(data) {
+  if (this._remoteClosed || data.length > this._receiveWindow) {
+    return false;
+  }
+
+  this._receiveWindow -= data.length;
+  this._ungranted += data.length;
+
+  if (this.push(data)) {
+    this._maybeGrant();
+  }
+  return true;
+};
+
+// Return the window for data that has been read, but wait until there is
+// enough to make a frame worthwhile.
+Channel.prototype._maybeGrant = function() {
+  if (this._ungranted < this._grantThreshold || this._remoteClosed ||
+      this.destroyed) {
+    return;
+  }
+
+  var grant = this._ungranted;
+  this._ungranted = 0;
+  this._receiveWindow += grant;
+  this._mux._sendWindowFrame(TYPE_WINDOW, this.id, grant);
+};
+
+Channel.prototype._grant = function(size) {
+  this._sendWindow = Math.min(this._sendWindow + size, MAX_WINDOW);
+
+  if (!this.opened) {
+    this.opened = true;
+    this.emit('open');
+  }
+
+  this._flush();
+};
+
+Channel.prototype._remoteClose = function() {
+  if (this._remoteClosed) {
+    return;
+  }
+  this._remoteClosed = true;
+  this.push(null);
+  this._maybeRemove();
+};
+
+// Forget the channel once both sides have sent CLOSE
+Channel.prototype._maybeRemove = function() {
+  if (this._remoteClosed && this._finished) {
+    this._mux._remove(this);
+  }
+};
+
+Channel.prototype._maybeClose = function() {
+  this._maybeRemove();
+  if (this._ended && this._finished) {
+    this._close(false);
+  }
+};
+
+Channel.prototype._teardown = function(error) {
+  if (this.destroyed) {
+    return;
+  }
+  this.destroyed = true;
+  this._pending = null;
+  this._mux._remove(this);
+
+  if (error) {
+    process.nextTick(this.emit.bind(this, 'error', error));
+  }
+  this._close(!!error);
+};
+
+Channel.prototype._close = function(hadError) {
+  if (this._closed) {
+    return;
+  }
+  this._closed = true;
+  process.nextTick(this.emit.bind(this, 'close', hadError));
+};
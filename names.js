@@ -0,0 +1,94 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+// Helpers for matching NetBIOS names against registered patterns.  A
+// pattern is a name whose suffix and scope are optional.  If they are not
+// given, then any value will match.
+
+var NBName = require('netbios-name');
+
+module.exports.parse = parse;
+module.exports.match = match;
+module.exports.createMatcher = createMatcher;
+
+// Convert a NetbiosName, an object with name, suffix and scopeId properties,
+// or a string like 'NAME.scope.com' into a pattern.  Strings do not specify a
+// suffix, so they match any suffix.
+function parse(name) {
+  if (typeof name === 'string') {
+    name = new NBName({fqdn: name});
+    if (name.error) {
+      return name;
+    }
+    return { name: name.name.toUpperCase(), suffix: undefined,
+             scopeId: name.scopeId || undefined };
+  }
+
+  if (!name || !name.name) {
+    return { error: new Error('Invalid name [' + name + ']') };
+  }
+
+  return {
+    name: name.name.toUpperCase(),
+    suffix: (typeof name.suffix === 'number') ? name.suffix : undefined,
+    scopeId: name.scopeId || undefined
+  };
+}
+
+function match(pattern, nbname) {
+  if (!nbname || !nbname.name || pattern.name !== nbname.name.toUpperCase()) {
+    return false;
+  }
+
+  if (pattern.suffix !== undefined && pattern.suffix !== nbname.suffix) {
+    return false;
+  }
+
+  if (pattern.scopeId !== undefined &&
+      pattern.scopeId.toLowerCase() !== (nbname.scopeId || '').toLowerCase()) {
+    return false;
+  }
+
+  return true;
+}
+
+// Build a function that tests a NetbiosName against a list of names.  The
+// list may be a single name, an array of names or a filter function.
+function createMatcher(names) {
+  if (typeof names === 'function') {
+    return names;
+  }
+
+  var patterns = (Array.isArray(names) ? names : [names]).map(parse);
+  return function(nbname) {
+    for (var i = 0; i < patterns.length; ++i) {
+      if (!patterns[i].error && match(patterns[i], nbname)) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
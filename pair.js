@@ -0,0 +1,213 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+module.exports = createPair;
+
+var NetbiosSession = require('./session');
+var common = require('./common');
+var NBName = require('netbios-name');
+var util = require('util');
+
+// Streams2 compat for v0.8 and v0.9
+var Duplex = require('stream').Duplex;
+if (!Duplex) {
+  Duplex = require('readable-stream').Duplex;
+}
+
+// Create two sessions connected to each other over an in-memory stream.
+// The client session requests a session from the server session, so the
+// full negotiation is exercised without opening any ports.  The callback is
+// called with the result of the client's connect().
+function createPair(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  var callTo = opts.callTo || new NBName({name: 'SERVER', suffix: 0x20});
+  var callFrom = opts.callFrom || new NBName({name: 'CLIENT', suffix: 0x00});
+
+  var link = new MemoryLink(opts);
+
+  var client = new NetbiosSession(common.merge(opts.clientOptions,
+                                              { direct: opts.direct }));
+  var server = new NetbiosSession(common.merge(opts.serverOptions,
+                                              { direct: opts.direct }));
+
+  var onRequest = opts.onRequest || function(error, request) {
+    if (request) {
+      request.accept();
+    }
+  };
+
+  server.attach(link.server, opts.direct ? undefined : onRequest);
+
+  client.connectStream(link.client, callTo, callFrom, function(error) {
+    if (typeof callback === 'function') {
+      callback(error || null, client, server);
+    } else if (error) {
+      client.emit('error', error);
+    }
+  });
+
+  return { client: client, server: server };
+}
+
+// A pair of connected streams.  Bytes written to one end are read from the
+// other after the configured latency.  Writes may be split into fragments
+// that arrive separately, and the link may be dropped after a given number
+// of bytes to simulate a connection failing in the middle of a packet.
+function MemoryLink(opts) {
+  this.latency = opts.latency || 0;
+  this.fragment = opts.fragment || 0;
+  this.dropAfter = (typeof opts.dropAfter === 'number') ? opts.dropAfter
+                                                        : Infinity;
+  this.bytesDelivered = 0;
+  this.dropped = false;
+
+  this.client = new MemoryStream(this);
+  this.server = new MemoryStream(this);
+  this.client.peer = this.server;
+  this.server.peer = this.client;
+}
+
+MemoryLink.prototype.send = function(dst, chunk) {
+  var self = this;
+
+  var pieces = [];
+  if (chunk === null) {
+    pieces.push(null);
+  } else {
+    var size = self.fragment || chunk.length;
+    for (var offset = 0; offset < chunk.length; offset += size) {
+      pieces.push(chunk.slice(offset, offset + size));
+    }
+  }
+
+  var enqueue = function() {
+    dst.queue.push.apply(dst.queue, pieces);
+    self.pump(dst);
+  };
+
+  if (self.latency > 0) {
+    setTimeout(enqueue, self.latency);
+  } else {
+    enqueue();
+  }
+};
+
+// Deliver one queued piece per tick so that fragments are seen separately
+MemoryLink.prototype.pump = function(dst) {
+  var self = this;
+
+  if (dst.pumping || dst.queue.length < 1) {
+    return;
+  }
+
+  dst.pumping = true;
+  common.defer(function() {
+    dst.pumping = false;
+    self.deliver(dst, dst.queue.shift());
+    self.pump(dst);
+  });
+};
+
+MemoryLink.prototype.deliver = function(dst, piece) {
+  if (this.dropped || dst.ended) {
+    return;
+  }
+
+  if (piece === null) {
+    dst.ended = true;
+    dst.push(null);
+    return;
+  }
+
+  var remaining = this.dropAfter - this.bytesDelivered;
+  if (piece.length >= remaining) {
+    if (remaining > 0) {
+      this._push(dst, piece.slice(0, remaining));
+    }
+    this.drop();
+    return;
+  }
+
+  this._push(dst, piece);
+};
+
+MemoryLink.prototype._push = function(dst, piece) {
+  this.bytesDelivered += piece.length;
+  dst.bytesRead += piece.length;
+  dst.push(piece);
+};
+
+// Both ends see the connection close without any further data
+MemoryLink.prototype.drop = function() {
+  this.dropped = true;
+  [this.client, this.server].forEach(function(stream) {
+    stream.queue = [];
+    if (!stream.ended) {
+      stream.ended = true;
+      stream.push(null);
+    }
+  });
+};
+
+util.inherits(MemoryStream, Duplex);
+
+function MemoryStream(link) {
+  var self = this;
+
+  Duplex.call(self);
+
+  self.link = link;
+  self.peer = null;
+  self.queue = [];
+  self.pumping = false;
+  self.ended = false;
+  self.bytesRead = 0;
+
+  self.once('finish', function() {
+    link.send(self.peer, null);
+  });
+}
+
+// Data is pushed by the peer as it arrives, so there is nothing to do here
+MemoryStream.prototype._read = function() {};
+
+MemoryStream.prototype._write = function(chunk, encoding, callback) {
+  if (!this.link.dropped) {
+    this.link.send(this.peer, chunk);
+  }
+  callback();
+};
+
+// Like a reset connection, both ends close without any further data
+MemoryStream.prototype.destroy = function() {
+  this.link.drop();
+};
@@ -0,0 +1,366 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+module.exports = SessionPool;
+
+var NetbiosSession = require('./session');
+var errors = require('./errors');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var DEFAULT_PORT = 139;
+var DEFAULT_MAX_SIZE = 10;
+var DEFAULT_IDLE_TIMEOUT = 30000;
+var DEFAULT_HEALTH_CHECK_INTERVAL = 10000;
+
+util.inherits(SessionPool, EventEmitter);
+
+// Reuse established sessions for the same host, port and names rather than
+// paying for the TCP connection and session request every time.
+function SessionPool(opts) {
+  var self = this instanceof SessionPool
+           ? this
+           : Object.create(SessionPool.prototype);
+
+  opts = opts || {};
+
+  EventEmitter.call(self);
+
+  self._maxSize = opts.maxSize || DEFAULT_MAX_SIZE;
+  self._maxWaiting = (typeof opts.maxWaiting === 'number') ? opts.maxWaiting
+                                                           : Infinity;
+  self._idleTimeout = (typeof opts.idleTimeout === 'number')
+                    ? opts.idleTimeout
+                    : DEFAULT_IDLE_TIMEOUT;
+  self._acquireTimeout = opts.acquireTimeout || 0;
+
+  // Pooled sessions send keep alives so that dead connections are noticed
+  // while they sit idle.
+  self._sessionOpts = {};
+  var sessionOpts = opts.sessionOptions || {};
+  Object.keys(sessionOpts).forEach(function(key) {
+    self._sessionOpts[key] = sessionOpts[key];
+  });
+  if (typeof self._sessionOpts.keepAliveInterval !== 'number') {
+    self._sessionOpts.keepAliveInterval =
+      (typeof opts.healthCheckInterval === 'number')
+        ? opts.healthCheckInterval
+        : DEFAULT_HEALTH_CHECK_INTERVAL;
+  }
+
+  self._entries = Object.create(null);
+  self._closed = false;
+
+  return self;
+}
+
+// Get a session for the given target.  The target must provide the host,
+// callTo and callFrom.  The port defaults to 139.  The callback is passed
+// an established session which must be returned with release() or
+// destroy() when the caller is done with it.
+SessionPool.prototype.acquire = function(target, callback) {
+  if (this._closed) {
+    process.nextTick(callback.bind(null, new errors.SessionStateError(
+      'Cannot acquire a session from a closed pool.')));
+    return;
+  }
+
+  var entry = this._entry(target);
+
+  var record = this._takeIdle(entry);
+  if (record) {
+    entry.active.push(record);
+    process.nextTick(callback.bind(null, null, record.session));
+    return;
+  }
+
+  if (entry.active.length + entry.connecting < this._maxSize) {
+    this._create(entry, callback);
+    return;
+  }
+
+  if (entry.waiting.length >= this._maxWaiting) {
+    process.nextTick(callback.bind(null, new errors.SessionError(
+      'Too many callers waiting for a session to [' + entry.key + ']')));
+    return;
+  }
+
+  this._wait(entry, callback);
+};
+
+// Return a session to the pool so that it can be reused.
+SessionPool.prototype.release = function(session) {
+  var found = this._find(session);
+  if (!found || found.list !== found.entry.active) {
+    return;
+  }
+
+  var entry = found.entry;
+  var record = found.record;
+  entry.active.splice(entry.active.indexOf(record), 1);
+
+  if (this._closed || !_isHealthy(session)) {
+    this._discard(record);
+    this._dispatch(entry);
+    return;
+  }
+
+  var waiter = entry.waiting.shift();
+  if (waiter) {
+    clearTimeout(waiter.timer);
+    entry.active.push(record);
+    waiter.callback(null, session);
+    return;
+  }
+
+  this._makeIdle(entry, record);
+};
+
+// Remove a session from the pool and end it.  Use this instead of release()
+// when the session is no longer usable.
+SessionPool.prototype.destroy = function(session) {
+  var found = this._find(session);
+  if (!found) {
+    return;
+  }
+
+  found.list.splice(found.list.indexOf(found.record), 1);
+  this._discard(found.record);
+  this._dispatch(found.entry);
+};
+
+// End all idle sessions and fail any waiting callers.  Sessions that are
+// currently acquired are ended when they are released.
+SessionPool.prototype.close = function() {
+  var self = this;
+  self._closed = true;
+
+  Object.keys(self._entries).forEach(function(key) {
+    var entry = self._entries[key];
+
+    entry.idle.splice(0).forEach(self._discard.bind(self));
+
+    entry.waiting.splice(0).forEach(function(waiter) {
+      clearTimeout(waiter.timer);
+      waiter.callback(new errors.SessionStateError(
+        'Session pool closed while waiting for a session.'));
+    });
+  });
+};
+
+SessionPool.prototype.stats = function() {
+  var self = this;
+  var stats = { idle: 0, active: 0, connecting: 0, waiting: 0 };
+
+  Object.keys(self._entries).forEach(function(key) {
+    var entry = self._entries[key];
+    stats.idle += entry.idle.length;
+    stats.active += entry.active.length;
+    stats.connecting += entry.connecting;
+    stats.waiting += entry.waiting.length;
+  });
+
+  return stats;
+};
+
+SessionPool.prototype._entry = function(target) {
+  var port = (typeof target.port === 'number') ? target.port : DEFAULT_PORT;
+  var key = [target.host, port, target.callTo, target.callFrom].join('|');
+
+  var entry = this._entries[key];
+  if (!entry) {
+    entry = this._entries[key] = {
+      key: key,
+      host: target.host,
+      port: port,
+      callTo: target.callTo,
+      callFrom: target.callFrom,
+      idle: [],
+      active: [],
+      waiting: [],
+      connecting: 0
+    };
+  }
+
+  return entry;
+};
+
+SessionPool.prototype._create = function(entry, callback) {
+  var self = this;
+
+  var session = new NetbiosSession(self._sessionOpts);
+  var record = { session: session, entry: entry, idleTimer: null };
+
+  entry.connecting += 1;
+
+  session.connect(entry.port, entry.host, entry.callFrom, entry.callTo,
+                  function(error) {
+    entry.connecting -= 1;
+
+    if (error) {
+      callback(error);
+      self._dispatch(entry);
+      return;
+    }
+
+    self._watch(record);
+
+    if (self._closed) {
+      self._discard(record);
+      callback(new errors.SessionStateError(
+        'Session pool closed while connecting.'));
+      return;
+    }
+
+    entry.active.push(record);
+    callback(null, session);
+  });
+};
+
+SessionPool.prototype._wait = function(entry, callback) {
+  var self = this;
+  var waiter = { callback: callback, timer: null };
+
+  if (self._acquireTimeout > 0) {
+    waiter.timer = setTimeout(function() {
+      var index = entry.waiting.indexOf(waiter);
+      if (index > -1) {
+        entry.waiting.splice(index, 1);
+      }
+      callback(new errors.SessionTimeoutError('acquire', self._acquireTimeout));
+    }, self._acquireTimeout);
+  }
+
+  entry.waiting.push(waiter);
+};
+
+// Once a session leaves the pool, start a new connection for the next
+// waiting caller if there is room.
+SessionPool.prototype._dispatch = function(entry) {
+  if (entry.waiting.length < 1 ||
+      entry.active.length + entry.connecting >= this._maxSize) {
+    return;
+  }
+
+  var waiter = entry.waiting.shift();
+  clearTimeout(waiter.timer);
+  this._create(entry, waiter.callback);
+};
+
+SessionPool.prototype._takeIdle = function(entry) {
+  while (entry.idle.length > 0) {
+    // Prefer the most recently used session
+    var record = entry.idle.pop();
+    clearTimeout(record.idleTimer);
+    record.idleTimer = null;
+
+    if (_isHealthy(record.session)) {
+      return record;
+    }
+
+    this._discard(record);
+  }
+  return null;
+};
+
+SessionPool.prototype._makeIdle = function(entry, record) {
+  var self = this;
+
+  if (self._idleTimeout > 0) {
+    record.idleTimer = setTimeout(function() {
+      self._evict(record);
+    }, self._idleTimeout);
+    if (typeof record.idleTimer.unref === 'function') {
+      record.idleTimer.unref();
+    }
+  }
+
+  entry.idle.push(record);
+};
+
+// Drop pooled sessions as soon as their connection goes away, even if they
+// are sitting idle and no one is reading from them.
+SessionPool.prototype._watch = function(record) {
+  var self = this;
+  var session = record.session;
+
+  var evict = function() {
+    self._evict(record);
+  };
+
+  session.on('error', evict);
+  session.on('end', evict);
+  session.on('finish', evict);
+  session.on('close', evict);
+};
+
+SessionPool.prototype._evict = function(record) {
+  var entry = record.entry;
+
+  var index = entry.idle.indexOf(record);
+  if (index > -1) {
+    entry.idle.splice(index, 1);
+  } else {
+    index = entry.active.indexOf(record);
+    if (index < 0) {
+      return;
+    }
+    entry.active.splice(index, 1);
+  }
+
+  this._discard(record);
+  this.emit('evict', record.session);
+  this._dispatch(entry);
+};
+
+SessionPool.prototype._discard = function(record) {
+  clearTimeout(record.idleTimer);
+  record.idleTimer = null;
+  if (_isHealthy(record.session)) {
+    record.session.end();
+  }
+};
+
+SessionPool.prototype._find = function(session) {
+  var keys = Object.keys(this._entries);
+  for (var i = 0; i < keys.length; ++i) {
+    var entry = this._entries[keys[i]];
+    var lists = [entry.active, entry.idle];
+    for (var j = 0; j < lists.length; ++j) {
+      for (var k = 0; k < lists[j].length; ++k) {
+        if (lists[j][k].session === session) {
+          return { entry: entry, list: lists[j], record: lists[j][k] };
+        }
+      }
+    }
+  }
+  return null;
+};
+
+function _isHealthy(session) {
+  return session.mode === 'established' && !session.destroyed &&
+         session.writable !== false;
+}
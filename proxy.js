@@ -0,0 +1,351 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+module.exports = NetbiosProxy;
+
+var NetbiosSession = require('./session');
+var common = require('./common');
+var errors = require('./errors');
+var names = require('./names');
+var EventEmitter = require('events').EventEmitter;
+var net = require('net');
+var util = require('util');
+
+var DEFAULT_PORT = 139;
+
+util.inherits(NetbiosProxy, EventEmitter);
+
+// Accept sessions from clients and forward their messages to an upstream
+// server.  Either side may use session mode or direct mode, so the proxy
+// can be used to translate between port 139 and port 445 style transports.
+function NetbiosProxy(opts) {
+  var self = this instanceof NetbiosProxy
+           ? this
+           : Object.create(NetbiosProxy.prototype);
+
+  opts = opts || {};
+
+  EventEmitter.call(self);
+
+  self._direct = !!opts.direct;
+  self._sessionOpts = opts.sessionOptions || {};
+  self._upstream = opts.upstream ? _parseUpstream(opts.upstream) : null;
+  self._routes = [];
+  self._lmhosts = opts.lmhosts || null;
+  self._lmhostsPort = opts.lmhostsPort || DEFAULT_PORT;
+  self.connections = [];
+
+  self._server = net.createServer(self._onConnection.bind(self));
+  self._server.on('listening', self.emit.bind(self, 'listening'));
+  self._server.on('close', self.emit.bind(self, 'close'));
+  self._server.on('error', self.emit.bind(self, 'error'));
+
+  return self;
+}
+
+// Forward sessions for the given called name to a specific upstream.  The
+// name is matched in the same way as NetbiosServer.addName().
+NetbiosProxy.prototype.addRoute = function(name, upstream) {
+  var entry = names.parse(name);
+  if (entry.error) {
+    throw entry.error;
+  }
+
+  entry.upstream = _parseUpstream(upstream);
+
+  this.removeRoute(name);
+  this._routes.push(entry);
+};
+
+NetbiosProxy.prototype.removeRoute = function(name) {
+  var key = names.parse(name);
+  this._routes = this._routes.filter(function(entry) {
+    return entry.name !== key.name ||
+           entry.suffix !== key.suffix ||
+           entry.scopeId !== key.scopeId;
+  });
+};
+
+NetbiosProxy.prototype.listen = common.listen;
+NetbiosProxy.prototype.close = common.close;
+NetbiosProxy.prototype.address = common.address;
+
+NetbiosProxy.prototype._onConnection = function(socket) {
+  var self = this;
+
+  var client = new NetbiosSession(common.merge(self._sessionOpts,
+                                              { direct: self._direct }));
+
+  // Until the upstream is joined, errors simply close the connection.
+  var earlyError = function() {
+    socket.destroy();
+  };
+  client.on('error', earlyError);
+
+  if (self._direct) {
+    client.attach(socket);
+    client.removeListener('error', earlyError);
+    self._forward(client, self._upstream, null, null, null);
+    return;
+  }
+
+  client.attach(socket, function(error, request) {
+    if (error) {
+      socket.destroy();
+      return;
+    }
+    client.removeListener('error', earlyError);
+
+    var upstream = self._lookup(request.callTo);
+    if (!upstream) {
+      request.reject('Not listening on called name');
+      return;
+    }
+
+    self._forward(client, upstream, request.callTo, request.callFrom, request);
+  });
+};
+
+// Connect to the upstream server and join it to the client session.  For
+// session mode clients the request is not answered until the upstream
+// responds so that a negative response can be passed back to the client.
+NetbiosProxy.prototype._forward = function(client, upstream, callTo, callFrom,
+                                           request) {
+  var self = this;
+
+  var conn = {
+    client: client,
+    server: null,
+    callTo: callTo,
+    callFrom: callFrom,
+    remoteAddress: client.remoteAddress,
+    upstreamHost: upstream ? upstream.host : null,
+    upstreamPort: upstream ? upstream.port : null,
+    messagesIn: 0,
+    bytesIn: 0,
+    messagesOut: 0,
+    bytesOut: 0,
+    startTime: Date.now(),
+    endTime: null,
+    error: null
+  };
+
+  if (!upstream) {
+    client.end();
+    return;
+  }
+
+  var server = new NetbiosSession(common.merge(self._sessionOpts,
+                                              { direct: upstream.direct }));
+  conn.server = server;
+
+  // Direct mode clients do not provide names, so the upstream must supply
+  // them if it is in session mode.
+  var upCallTo = upstream.callTo || callTo;
+  var upCallFrom = upstream.callFrom || callFrom;
+
+  if (!upstream.direct && (!upCallTo || !upCallFrom)) {
+    conn.error = new errors.SessionError(
+      'Upstream [' + upstream.host + '] requires callTo and callFrom names');
+    client.end();
+    self.emit('connectionError', conn.error, conn);
+    return;
+  }
+
+  // In direct mode the client may send messages before the upstream is
+  // connected.  They are held by the upstream session until it connects.
+  var fail = null;
+  if (!request) {
+    fail = self._join(conn);
+  }
+
+  // The client may hang up while we wait for the upstream.  Its errors are
+  // recorded rather than thrown, and the upstream connect is abandoned.
+  var onClientError = function(error) {
+    conn.error = conn.error || error;
+  };
+  var onClientClose = function() {
+    server.destroy();
+  };
+  if (request) {
+    client.on('error', onClientError);
+    client.once('close', onClientClose);
+  }
+
+  server.connect(upstream.port, upstream.host, upCallFrom, upCallTo,
+                 function(error) {
+    client.removeListener('close', onClientClose);
+
+    if (request && client.destroyed) {
+      server.destroy();
+      if (!conn.error) {
+        conn.error = new errors.SessionError(
+          'Client closed before the upstream session was established.');
+        conn.error.code = 'ECONNRESET';
+      }
+      self.emit('connectionError', conn.error, conn);
+      return;
+    }
+
+    if (fail && error) {
+      fail(error);
+      return;
+    }
+
+    if (error) {
+      conn.error = error;
+      request.reject(_rejectReason(error));
+      self.emit('connectionError', error, conn);
+      return;
+    }
+
+    if (request) {
+      client.removeListener('error', onClientError);
+      request.accept();
+      self._join(conn);
+    }
+  });
+};
+
+NetbiosProxy.prototype._join = function(conn) {
+  var self = this;
+  var client = conn.client;
+  var server = conn.server;
+
+  self.connections.push(conn);
+
+  client.on('data', function(msg) {
+    conn.messagesIn += 1;
+    conn.bytesIn += msg.length;
+  });
+
+  server.on('data', function(msg) {
+    conn.messagesOut += 1;
+    conn.bytesOut += msg.length;
+  });
+
+  // Piping in both directions provides backpressure.  When either side
+  // ends, the other side is ended once its pending messages are flushed.
+  client.pipe(server);
+  server.pipe(client);
+
+  var ended = 0;
+  var done = false;
+  var finish = function() {
+    if (done) {
+      return;
+    }
+    done = true;
+    conn.endTime = Date.now();
+    var index = self.connections.indexOf(conn);
+    if (index > -1) {
+      self.connections.splice(index, 1);
+    }
+    self.emit('connectionEnd', conn);
+  };
+
+  var onEnd = function() {
+    ended += 1;
+    if (ended === 2) {
+      finish();
+    }
+  };
+
+  var onError = function(error) {
+    if (!conn.error) {
+      conn.error = error;
+      self.emit('connectionError', error, conn);
+    }
+    _teardown(client);
+    _teardown(server);
+    finish();
+  };
+
+  // Once one side has closed, what the other side still has for it can
+  // not be delivered.  Drop it so that the other side can end as well.
+  var drainTo = function(source, dest) {
+    return function() {
+      source.unpipe(dest);
+      source.resume();
+    };
+  };
+
+  client.on('end', onEnd);
+  server.on('end', onEnd);
+  client.on('error', onError);
+  server.on('error', onError);
+  client.on('close', drainTo(server, client));
+  server.on('close', drainTo(client, server));
+
+  self.emit('connection', conn);
+
+  // Fails the joined connection, such as when the upstream connect fails
+  return onError;
+};
+
+// Routes added with addRoute() are checked first, then the LMHOSTS table
+NetbiosProxy.prototype._lookup = function(callTo) {
+  for (var i = 0; i < this._routes.length; ++i) {
+    if (names.match(this._routes[i], callTo)) {
+      return this._routes[i].upstream;
+    }
+  }
+
+  var addresses = this._lmhosts ? this._lmhosts.lookup(callTo) : [];
+  if (addresses.length > 0) {
+    return _parseUpstream({ host: addresses[0], port: this._lmhostsPort });
+  }
+
+  return this._upstream;
+};
+
+function _parseUpstream(upstream) {
+  if (!upstream || !upstream.host) {
+    throw new Error('Invalid upstream [' + upstream + ']');
+  }
+
+  return {
+    host: upstream.host,
+    port: (typeof upstream.port === 'number') ? upstream.port : DEFAULT_PORT,
+    direct: !!upstream.direct,
+    callTo: upstream.callTo || null,
+    callFrom: upstream.callFrom || null
+  };
+}
+
+// Pass the upstream's negative response through to the client.  Any other
+// failure to reach the upstream is reported as an unspecified error.
+function _rejectReason(error) {
+  if (error instanceof errors.SessionRejectedError) {
+    return error.reason;
+  }
+  return 'Unspecified error';
+}
+
+function _teardown(session) {
+  session.unpipe();
+  session.destroy();
+}
@@ -0,0 +1,374 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+// Resolvers find the IPv4 addresses for a NetbiosName so that a session can
+// be requested by name alone.  A resolver is simply a function:
+//
+//   resolve(nbname, callback(error, addresses))
+//
+// An empty list of addresses means the name was not found.  The functions
+// here build resolvers from a static table, DNS and NBNS name queries.
+// They can be combined with createChainResolver() and createCachedResolver().
+
+var common = require('./common');
+var errors = require('./errors');
+var names = require('./names');
+var NBName = require('netbios-name');
+var dgram = require('dgram');
+var dns = require('dns');
+var net = require('net');
+
+module.exports.createStaticResolver = createStaticResolver;
+module.exports.createDnsResolver = createDnsResolver;
+module.exports.createNbnsResolver = createNbnsResolver;
+module.exports.createChainResolver = createChainResolver;
+module.exports.createCachedResolver = createCachedResolver;
+
+var NBNS_PORT = 137;
+var DEFAULT_NBNS_TIMEOUT = 1000;
+var DEFAULT_NBNS_RETRIES = 2;
+var DEFAULT_CACHE_TTL = 60000;
+
+var NBNS_HEADER_LENGTH = 12;
+var NBNS_FLAG_RESPONSE = 0x8000;
+var NBNS_FLAG_RD = 0x0100;
+var NBNS_FLAG_BROADCAST = 0x0010;
+var NBNS_RCODE_MASK = 0x000f;
+var NBNS_TYPE_NB = 0x0020;
+var NBNS_CLASS_IN = 0x0001;
+var NBNS_ENTRY_LENGTH = 6;
+
+// Resolve names from a table.  The table is either an object mapping names
+// to addresses, or an array of objects with a name and either an address or
+// an addresses array.  Names are matched like NetbiosServer.addName(), so a
+// string name without a suffix matches any suffix.  The first matching
+// entry wins.
+function createStaticResolver(table) {
+  var entries = Array.isArray(table) ? table : Object.keys(table || {})
+    .map(function(key) {
+      return { name: key, address: table[key] };
+    });
+
+  entries = entries.map(function(entry) {
+    var pattern = names.parse(entry.name);
+    if (pattern.error) {
+      throw pattern.error;
+    }
+
+    var addresses = entry.addresses || entry.address;
+    pattern.addresses = Array.isArray(addresses) ? addresses.slice()
+                                                 : [addresses];
+    pattern.addresses.forEach(function(address) {
+      if (!net.isIPv4(address)) {
+        throw new Error('Invalid address [' + address + '] for name [' +
+                        entry.name + ']');
+      }
+    });
+    return pattern;
+  });
+
+  return function(nbname, callback) {
+    var addresses = [];
+    for (var i = 0; i < entries.length; ++i) {
+      if (names.match(entries[i], nbname)) {
+        addresses = entries[i].addresses.slice();
+        break;
+      }
+    }
+    common.defer(callback.bind(null, null, addresses));
+  };
+}
+
+// Look up the name and scope as a DNS host name, such as 'fileserver' or
+// 'fileserver.corp.example.com'.  The suffix is ignored.
+//
+// Options:
+//  - lookup: Function used in place of dns.lookup().
+function createDnsResolver(opts) {
+  opts = opts || {};
+  var lookup = opts.lookup || dns.lookup;
+
+  return function(nbname, callback) {
+    var host = nbname.name.trim();
+    if (nbname.scopeId) {
+      host += '.' + nbname.scopeId;
+    }
+
+    lookup(host, 4, function(error, address) {
+      if (error) {
+        // Not finding the host is not an error for a resolver
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+          callback(null, []);
+          return;
+        }
+        callback(error);
+        return;
+      }
+      callback(null, address ? [address] : []);
+    });
+  };
+}
+
+// Send an NBNS name query as defined in RFC1002 section 4.2.12.  Queries go
+// to a name server, or are broadcast on the local network if the server is
+// a broadcast address and the broadcast option is set.  The first positive
+// response is used.
+//
+// Options:
+//  - server: The address of the name server.  Required.
+//  - port: Defaults to 137.
+//  - broadcast: Send a broadcast query instead of asking a name server.
+//  - timeout: Milliseconds to wait for each try.  Defaults to 1000.
+//  - retries: Tries to make after the first one times out.  Defaults to 2.
+function createNbnsResolver(opts) {
+  opts = opts || {};
+
+  if (!opts.server) {
+    throw new Error('NBNS resolver requires a server address');
+  }
+
+  var port = opts.port || NBNS_PORT;
+  var timeout = opts.timeout || DEFAULT_NBNS_TIMEOUT;
+  var retries = (typeof opts.retries === 'number') ? opts.retries
+                                                   : DEFAULT_NBNS_RETRIES;
+  var broadcast = !!opts.broadcast;
+
+  return function(nbname, callback) {
+    var id = Math.floor(Math.random() * 0x10000);
+    var query = _encodeQuery(id, nbname, broadcast);
+    if (query.error) {
+      common.defer(callback.bind(null, query.error));
+      return;
+    }
+
+    var socket = dgram.createSocket('udp4');
+    var timer = null;
+    var tries = 0;
+    var done = false;
+
+    var finish = function(error, addresses) {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      callback(error, addresses);
+    };
+
+    var send = function() {
+      tries += 1;
+      socket.send(query.buffer, 0, query.buffer.length, port, opts.server);
+      timer = setTimeout(function() {
+        if (tries > retries) {
+          var error = new Error('NBNS query for [' + nbname + '] timed out');
+          error.code = 'ETIMEDOUT';
+          finish(error);
+          return;
+        }
+        send();
+      }, timeout);
+    };
+
+    socket.on('error', finish);
+
+    // Ignore anything that is not a response to our query
+    socket.on('message', function(msg) {
+      var res = _decodeResponse(msg, id);
+      if (!res) {
+        return;
+      }
+      finish(res.error || null, res.addresses);
+    });
+
+    socket.bind(0, function() {
+      if (broadcast) {
+        socket.setBroadcast(true);
+      }
+      send();
+    });
+  };
+}
+
+// Try each resolver in order until one finds the name.  If none do, then
+// the last error is reported, if any.
+function createChainResolver(resolvers) {
+  return function(nbname, callback) {
+    var index = 0;
+    var lastError = null;
+
+    var next = function() {
+      if (index >= resolvers.length) {
+        callback(lastError, []);
+        return;
+      }
+
+      var resolve = resolvers[index];
+      index += 1;
+
+      resolve(nbname, function(error, addresses) {
+        if (!error && addresses && addresses.length > 0) {
+          callback(null, addresses);
+          return;
+        }
+        lastError = error || lastError;
+        next();
+      });
+    };
+
+    next();
+  };
+}
+
+// Remember the addresses found by another resolver.  Lookups for the same
+// name that overlap share a single request.
+//
+// Options:
+//  - ttl: Milliseconds to keep addresses that were found.  Defaults to
+//         60000.
+//  - negativeTtl: Milliseconds to remember that a name was not found.
+//                 Defaults to 0.
+function createCachedResolver(resolver, opts) {
+  opts = opts || {};
+  var ttl = (typeof opts.ttl === 'number') ? opts.ttl : DEFAULT_CACHE_TTL;
+  var negativeTtl = opts.negativeTtl || 0;
+
+  var cache = Object.create(null);
+  var pending = Object.create(null);
+
+  var resolve = function(nbname, callback) {
+    var key = nbname.toString().toUpperCase();
+
+    var entry = cache[key];
+    if (entry && entry.expires > Date.now()) {
+      common.defer(callback.bind(null, null, entry.addresses.slice()));
+      return;
+    }
+    delete cache[key];
+
+    if (pending[key]) {
+      pending[key].push(callback);
+      return;
+    }
+    pending[key] = [callback];
+
+    resolver(nbname, function(error, addresses) {
+      addresses = addresses || [];
+
+      var lifetime = addresses.length > 0 ? ttl : negativeTtl;
+      if (!error && lifetime > 0) {
+        cache[key] = { addresses: addresses, expires: Date.now() + lifetime };
+      }
+
+      var callbacks = pending[key];
+      delete pending[key];
+      callbacks.forEach(function(cb) {
+        cb(error, addresses.slice());
+      });
+    });
+  };
+
+  resolve.clear = function() {
+    cache = Object.create(null);
+  };
+
+  return resolve;
+}
+
+function _encodeQuery(id, nbname, broadcast) {
+  var buf = new Buffer(NBNS_HEADER_LENGTH + 256 + 4);
+
+  buf.writeUInt16BE(id, 0);
+  buf.writeUInt16BE(NBNS_FLAG_RD | (broadcast ? NBNS_FLAG_BROADCAST : 0), 2);
+  buf.writeUInt16BE(1, 4);    // QDCOUNT
+  buf.writeUInt16BE(0, 6);    // ANCOUNT
+  buf.writeUInt16BE(0, 8);    // NSCOUNT
+  buf.writeUInt16BE(0, 10);   // ARCOUNT
+
+  var res = nbname.write(buf, NBNS_HEADER_LENGTH);
+  if (res.error) {
+    return res;
+  }
+
+  var offset = NBNS_HEADER_LENGTH + res.bytesWritten;
+  buf.writeUInt16BE(NBNS_TYPE_NB, offset);
+  buf.writeUInt16BE(NBNS_CLASS_IN, offset + 2);
+
+  return { buffer: buf.slice(0, offset + 4) };
+}
+
+// Returns null if the packet is not a response to the query.  A negative
+// response means the name was not found.
+function _decodeResponse(buf, id) {
+  if (buf.length < NBNS_HEADER_LENGTH || buf.readUInt16BE(0) !== id) {
+    return null;
+  }
+
+  var flags = buf.readUInt16BE(2);
+  if (!(flags & NBNS_FLAG_RESPONSE)) {
+    return null;
+  }
+
+  if ((flags & NBNS_RCODE_MASK) || buf.readUInt16BE(6) < 1) {
+    return { addresses: [] };
+  }
+
+  // The name parser assumes the buffer is long enough
+  var name = null;
+  try {
+    name = NBName.fromBuffer(buf, NBNS_HEADER_LENGTH);
+  } catch (error) {
+    return { error: _malformedResponse('Truncated NBNS response') };
+  }
+  if (name.error) {
+    return { error: _malformedResponse(name.error.message) };
+  }
+
+  // Skip the type, class and TTL to reach the RDLENGTH
+  var offset = NBNS_HEADER_LENGTH + name.bytesRead + 8;
+  if (offset + 2 > buf.length) {
+    return { error: _malformedResponse('Truncated NBNS response') };
+  }
+
+  var length = buf.readUInt16BE(offset);
+  offset += 2;
+  if (offset + length > buf.length) {
+    return { error: _malformedResponse('Truncated NBNS response') };
+  }
+
+  // Each entry is a 2 byte NB_FLAGS field followed by the address
+  var addresses = [];
+  for (var end = offset + length; offset + NBNS_ENTRY_LENGTH <= end;
+       offset += NBNS_ENTRY_LENGTH) {
+    addresses.push([buf[offset + 2], buf[offset + 3],
+                    buf[offset + 4], buf[offset + 5]].join('.'));
+  }
+
+  return { addresses: addresses };
+}
+
+function _malformedResponse(message) {
+  return new errors.MalformedPacketError(message, 'name query response');
+}
@@ -0,0 +1,244 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+module.exports = NetbiosServer;
+
+var NetbiosSession = require('./session');
+var common = require('./common');
+var names = require('./names');
+var SessionLimits = require('./limits').SessionLimits;
+var EventEmitter = require('events').EventEmitter;
+var net = require('net');
+var util = require('util');
+
+var DEFAULT_HANDSHAKE_TIMEOUT = 30000;
+
+var INSUFFICIENT_RESOURCES = 'Called name present, but insufficient resources';
+
+util.inherits(NetbiosServer, EventEmitter);
+
+function NetbiosServer(opts, sessionListener) {
+  var self = this instanceof NetbiosServer
+           ? this
+           : Object.create(NetbiosServer.prototype);
+
+  if (typeof opts === 'function') {
+    sessionListener = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  EventEmitter.call(self);
+
+  // A client that never sends its request must not hold a connection open
+  // forever.  Pass 0 to wait indefinitely.
+  var handshakeTimeout = typeof opts.handshakeTimeout === 'number'
+                       ? opts.handshakeTimeout
+                       : DEFAULT_HANDSHAKE_TIMEOUT;
+
+  self._limits = new SessionLimits(opts.limits);
+  self._sessionOpts = common.merge(opts, {
+    receiveLimiter: self._limits.receiveBucket || opts.receiveLimiter,
+    handshakeTimeout: handshakeTimeout
+  });
+  self._names = [];
+  self.connections = [];
+
+  self._server = net.createServer(self._onConnection.bind(self));
+  self._server.on('listening', self.emit.bind(self, 'listening'));
+  self._server.on('close', self.emit.bind(self, 'close'));
+  self._server.on('error', self.emit.bind(self, 'error'));
+
+  if (typeof sessionListener === 'function') {
+    self.on('session', sessionListener);
+  }
+
+  return self;
+}
+
+// Register a called name that this server will accept sessions for.  The
+// name may be a NetbiosName, an object with name, suffix and scopeId
+// properties, or a string.  If the suffix or scopeId is not given, then any
+// value will match.
+NetbiosServer.prototype.addName = function(name, opts, handler) {
+  if (typeof opts === 'function') {
+    handler = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  var entry = names.parse(name);
+  if (entry.error) {
+    throw entry.error;
+  }
+
+  entry.callFrom = opts.callFrom ? names.createMatcher(opts.callFrom) : null;
+  entry.handler = (typeof handler === 'function') ? handler : null;
+
+  this.removeName(name);
+  this._names.push(entry);
+};
+
+NetbiosServer.prototype.removeName = function(name) {
+  var key = names.parse(name);
+  this._names = this._names.filter(function(entry) {
+    return entry.name !== key.name ||
+           entry.suffix !== key.suffix ||
+           entry.scopeId !== key.scopeId;
+  });
+};
+
+NetbiosServer.prototype.listen = common.listen;
+NetbiosServer.prototype.close = common.close;
+NetbiosServer.prototype.address = common.address;
+
+NetbiosServer.prototype._onConnection = function(socket) {
+  var self = this;
+
+  var session = new NetbiosSession(self._sessionOpts);
+
+  // Connections are counted as soon as they are accepted
+  var limit = self._limits.acquire(session, socket.remoteAddress);
+  if (limit) {
+    self._refuse(session, socket, limit);
+    return;
+  }
+
+  self.connections.push(session);
+
+  socket.on('close', function() {
+    var index = self.connections.indexOf(session);
+    if (index > -1) {
+      self.connections.splice(index, 1);
+    }
+    self._limits.release(session);
+  });
+
+  // Errors that occur before the session is handed to the user simply
+  // close the connection.
+  var earlyError = function() {
+    socket.destroy();
+  };
+  session.on('error', earlyError);
+
+  session.on('connect', function() {
+    session.removeListener('error', earlyError);
+  });
+
+  session.on('access', function(info) {
+    self.emit('access', info, session);
+  });
+
+  // There is no way to refuse a direct session, so simply close it
+  if (self._sessionOpts.direct) {
+    limit = self._limits.acquireName(session, null);
+    if (limit) {
+      self.emit('limit', limit, session, null);
+      socket.destroy();
+      return;
+    }
+    session.attach(socket);
+    self.emit('session', session, null);
+    return;
+  }
+
+  session.attach(socket, function(error, request) {
+    if (error) {
+      socket.destroy();
+      return;
+    }
+    self._route(session, request);
+  });
+};
+
+// A connection over the limits is not counted, but its request is still
+// read so that it can be refused with a reason.  There is no way to refuse
+// a direct session, so it is simply closed.
+NetbiosServer.prototype._refuse = function(session, socket, limit) {
+  var self = this;
+
+  if (self._sessionOpts.direct) {
+    self.emit('limit', limit, session, null);
+    socket.destroy();
+    return;
+  }
+
+  session.on('error', function() {
+    socket.destroy();
+  });
+
+  session.attach(socket, function(error, request) {
+    if (error) {
+      socket.destroy();
+      return;
+    }
+    self.emit('limit', limit, session, request);
+    request.reject(INSUFFICIENT_RESOURCES);
+  });
+};
+
+NetbiosServer.prototype._route = function(session, request) {
+  // With no names registered, accept everything
+  var entry = null;
+  if (this._names.length > 0) {
+    entry = this._lookup(request.callTo);
+    if (!entry) {
+      request.reject('Not listening on called name');
+      return;
+    }
+
+    if (entry.callFrom && !entry.callFrom(request.callFrom)) {
+      request.reject('Not listening for calling name');
+      return;
+    }
+  }
+
+  // The called name is present, but we may not have room for it
+  var limit = this._limits.acquireName(session, request.callTo);
+  if (limit) {
+    this.emit('limit', limit, session, request);
+    request.reject(INSUFFICIENT_RESOURCES);
+    return;
+  }
+
+  request.accept();
+
+  if (entry && entry.handler) {
+    entry.handler(session, request);
+  }
+
+  this.emit('session', session, request);
+};
+
+NetbiosServer.prototype._lookup = function(callTo) {
+  for (var i = 0; i < this._names.length; ++i) {
+    if (names.match(this._names[i], callTo)) {
+      return this._names[i];
+    }
+  }
+  return null;
+};
@@ -27,18 +27,49 @@ module.exports = NetbiosSession;
 
 module.exports.MAX_MESSAGE_LENGTH = (1 << 17) - 1;
 
-var NBName = require('netbios-name');
-var EventEmitter = require('events').EventEmitter;
+module.exports.createServer = function(opts, sessionListener) {
+  return new NetbiosServer(opts, sessionListener);
+};
+
+module.exports.createProxy = function(opts) {
+  return new NetbiosProxy(opts);
+};
+
+module.exports.createPair = function(opts, callback) {
+  return createPair(opts, callback);
+};
+
+var errors = require('./errors');
+Object.keys(errors).forEach(function(name) {
+  module.exports[name] = errors[name];
+});
+
+var codec = module.exports.codec = require('./codec');
+var resolvers = module.exports.resolver = require('./resolver');
+module.exports.lmhosts = require('./lmhosts');
+
+var NetbiosServer = require('./server');
+module.exports.SessionPool = require('./pool');
+module.exports.TokenBucket = require('./limits').TokenBucket;
+var NetbiosProxy = require('./proxy');
+var createPair = require('./pair');
+var PcapWriter = require('./capture');
+var messageStream = require('./message-stream');
+var IncomingMessage = messageStream.IncomingMessage;
+var OutgoingMessage = messageStream.OutgoingMessage;
+var access = require('./access');
+var Multiplexer = require('./multiplex').Multiplexer;
 var net = require('net');
 var util = require('util');
 
 // Streams2 compat for v0.8 and v0.9
-var Readable = require('stream').Readable;
+var Duplex = require('stream').Duplex;
 var socketStream = function (s) { return s; };
 
 // In v0.8 use the readable-stream module
-if (!Readable) {
-  Readable = require('readable-stream');
+if (!Duplex) {
+  var Readable = require('readable-stream');
+  Duplex = Readable.Duplex;
   socketStream = function(sock) {
     var stream = new Readable();
     stream.wrap(sock);
@@ -46,74 +77,178 @@ if (!Readable) {
   }
 }
 
-// TODO: Implement retarget response when we have a use case
-
 var VALID_TYPES = {
   'establishingIn': { 'request': true },
   'establishingOut': { 'positive response': true,
-                       'negative response': true },
+                       'negative response': true,
+                       'retarget response': true },
   'established': { 'message': true,
                    'keep alive': true }
 };
 
 var DEFAULT_PORT = 139;
-
-var TYPE_TO_STRING = {
-  0x00: 'message',
-  0x81: 'request',
-  0x82: 'positive response',
-  0x83: 'negative response',
-  0x84: 'retarget response',
-  0x85: 'keep alive'
+var DEFAULT_MAX_RETARGETS = 3;
+var DEFAULT_HIGH_WATER_MARK = 16;
+
+// Names are looked up in DNS unless another resolver is given
+var DEFAULT_RESOLVER = resolvers.createDnsResolver();
+
+var DEFAULT_RECONNECT = {
+  retries: Infinity,
+  minDelay: 100,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5,
+  queue: true
 };
 
-var TYPE_FROM_STRING = {
-  'message': 0x00,
-  'request': 0x81,
-  'positive response': 0x82,
-  'negative response': 0x83,
-  'retarget response': 0x84,
-  'keep alive': 0x85
-};
-
-var FLAGS_E_MASK = 0x80;
-var FLAGS_RESERVED_MASK = 0x7f;
-
-var ERROR_CODE_TO_STRING = {
-  0x80: 'Not listening on called name',
-  0x81: 'Not listening for calling name',
-  0x82: 'Called name not present',
-  0x83: 'Called name present, but insufficient resources',
-  0x8f: 'Unspecified error'
-};
+var HEADER_LENGTH = codec.HEADER_LENGTH;
 
-var ERROR_CODE_FROM_STRING = {
-  'Not listening on called name': 0x80,
-  'Not listening for calling name': 0x81,
-  'Called name not present': 0x82,
-  'Called name present, but insufficient resources': 0x83,
-  'Unspecified error': 0x8f
-};
-
-var EXTENSION_LENGTH = 1 << 16;
-var MAX_TRAILER_LENGTH = NetbiosSession.MAX_MESSAGE_LENGTH;
-var HEADER_LENGTH = 4;
+// A session request holds two names, each at most 255 bytes once encoded
+var MAX_REQUEST_LENGTH = 2 * 255;
 
-util.inherits(NetbiosSession, EventEmitter);
+util.inherits(NetbiosSession, Duplex);
 
 function NetbiosSessionState(session, opts) {
   this.mode = null;
 
   this.direct = !!opts.direct;
+
+  // Reject malformed or unexpected packets instead of ignoring them
+  this.strict = !!opts.strict;
+
+  this.lengthFormat = opts.lengthFormat || 'rfc1002';
+  var protocolMax = codec.MAX_LENGTH[this.lengthFormat];
+  if (!protocolMax) {
+    throw new Error('Unknown lengthFormat [' + this.lengthFormat + ']');
+  }
+  if (this.lengthFormat === 'smb2-direct' && !this.direct) {
+    throw new Error('The smb2-direct lengthFormat requires direct mode');
+  }
+
+  this.maxMessageLength = (typeof opts.maxMessageLength === 'number')
+                        ? opts.maxMessageLength
+                        : protocolMax;
+  if (this.maxMessageLength > protocolMax) {
+    throw new Error('maxMessageLength [' + this.maxMessageLength +
+                    '] exceeds the maximum of [' + protocolMax + '] for ' +
+                    'the ' + this.lengthFormat + ' lengthFormat');
+  }
+  this.codecOpts = { strict: this.strict, lengthFormat: this.lengthFormat };
+
+  // Provide each received message as a stream instead of a single Buffer
+  this.streamMessages = !!opts.streamMessages;
+  this.body = null;
+  this.bodyRemaining = 0;
+  this.bodyPaused = false;
+
+  // The OutgoingMessage currently being written, if any
+  this.outgoingMessage = null;
   this.autoAccept = !!opts.autoAccept;
 
-  this.paused = !!opts.paused;
+  // Declarative allow and deny lists checked before the attach() callback
+  this.access = opts.access ? access.createPolicy(opts.access) : null;
+
+  // Set when the readable side of the session wants more messages.  Once
+  // established we only read from the socket while this is true.
+  this.needRead = false;
+  this.inRead = false;
+  this.waitingReadable = false;
+
+  // Whether the current socket has ended or closed.  See _onInputClose().
+  this.inputEnded = false;
+  this.inputClosed = false;
+
+  this.pendingWrite = null;
+  this.forwardMessages = false;
+
+  this.maxRetargets = (typeof opts.maxRetargets === 'number')
+                    ? opts.maxRetargets
+                    : DEFAULT_MAX_RETARGETS;
+  this.retargetCount = 0;
+
+  // The smb2-direct format has no keep alive packet
+  this.keepAliveInterval = (this.lengthFormat === 'smb2-direct')
+                         ? 0
+                         : opts.keepAliveInterval || 0;
+  this.idleTimeout = opts.idleTimeout || 0;
+  this.endOnTimeout = !!opts.endOnTimeout;
+  this.keepAliveTimer = null;
+  this.idleTimer = null;
+
+  // TokenBucket charged for each received message, possibly shared with
+  // other sessions.  Reading stops while it is in debt.
+  this.receiveLimiter = opts.receiveLimiter || null;
+
+  // Set by the multiplex option once the session is constructed
+  this.mux = null;
+  this.throttleTimer = null;
+
+  // A function returning a new stream for each connection attempt.  If not
+  // set, then a TCP connection is opened.
+  this.transport = null;
+  this.streamOnly = false;
+
+  // Where connect() was asked to go, before any retargets.  A lost client
+  // session reconnects here if the reconnect option is set.
+  this.reconnect = _reconnectOptions(opts.reconnect);
+  this.reconnecting = false;
+  this.reconnectAttempt = 0;
+  this.reconnectTimer = null;
+  this.reconnects = 0;
+  this.connectPort = null;
+  this.connectHost = null;
+  this.drainWait = null;
+
+  // Finds the addresses for callTo when connect() is not given a host
+  this.resolver = opts.resolver || DEFAULT_RESOLVER;
+  this.connectResolver = null;
+  this.moreAddresses = false;
+
+  // The connect() in progress and how to stop its socket before it connects
+  this.attempt = null;
+  this.connectAbort = null;
+
+  // Set when the remote peer connected to us rather than the other way
+  this.inbound = false;
+
+  // PcapWriter recording the frames sent and received
+  this.capture = null;
+
+  this.connectTimeout = opts.connectTimeout || 0;
+  this.handshakeTimeout = opts.handshakeTimeout || 0;
+  this.handshakeTimer = null;
+  this.lastSent = 0;
+  this.lastReceived = 0;
+  this.lastBytesRead = 0;
+
+  // Traffic counters reported by stats()
+  this.messagesSent = 0;
+  this.bytesSent = 0;
+  this.messagesReceived = 0;
+  this.bytesReceived = 0;
+  this.keepAlivesSent = 0;
+  this.keepAlivesReceived = 0;
+  this.ignoredPackets = 0;
+  this.handshakeStart = 0;
+  this.handshakeTime = null;
+  this.remoteAddress = null;
 
   this.attachCallback = null;
   this.connectCallback = null;
 
-  this.trailerType = null;
-  this.trailerLength = 0;
+  // A single 'close' event is emitted once both sides of the session are
+  // done or the session is destroyed.
+  this.ended = false;
+  this.finished = false;
+  this.destroyed = false;
+  this.closed = false;
+
+  this.callTo = null;
+  this.callFrom = null;
+
+  this.trailerHeader = null;
+  this.headerChunk = null;
   this.readFunc = session._readHeader.bind(session);
 }
 
@@ -124,50 +259,347 @@ function NetbiosSession(opts) {
 
   opts = opts || {};
 
-  EventEmitter.call(self, opts);
+  var hwm = (typeof opts.highWaterMark === 'number') ? opts.highWaterMark
+                                                     : DEFAULT_HIGH_WATER_MARK;
+  // The session emits its own 'close' event, so keep newer versions of
+  // streams from emitting one as well.
+  Duplex.call(self, { objectMode: true, highWaterMark: hwm,
+                      autoDestroy: false, emitClose: false });
 
-  self._sessionState = new NetbiosSessionState(self, opts);
+  var ss = self._sessionState = new NetbiosSessionState(self, opts);
 
+  // Once all of our messages have been flushed, half-close the socket.  We
+  // continue to read until the remote peer ends its side as well.  Without
+  // a socket there is nothing more to read either.  No one may ever read
+  // the end of such a session, so it closes right away.
   self.once('finish', function() {
-    var ss = self._sessionState;
+    ss.finished = true;
+    self._stopTimers();
+    self._stopReconnect();
     if (ss.socket) {
       ss.socket.end();
-      ss.socket = null;
+    } else if (!ss.mode) {
+      self.push(null);
+      self._close(false);
+      return;
     }
-    ss.mode = null;
+    self._maybeClose();
+  });
+
+  self.once('end', function() {
+    ss.ended = true;
+    self._maybeClose();
   });
 
+  // For compatibility, provide each message as a 'message' event as well.
+  // Like a 'data' listener, this places the session in flowing mode.
+  self.on('newListener', function(event) {
+    if (event === 'message' && !ss.forwardMessages) {
+      ss.forwardMessages = true;
+      self.on('data', self.emit.bind(self, 'message'));
+    }
+  });
+
+  // A multiplexed session reads every message itself
+  if (opts.multiplex) {
+    ss.mux = new Multiplexer(self, (typeof opts.multiplex === 'object')
+                                   ? opts.multiplex : null);
+  }
+
+  if (opts.paused) {
+    self.pause();
+  }
+
+  if (opts.capture) {
+    self.startCapture(opts.capture);
+  }
+
   return self;
 }
 
+// Connect to a remote host.  Options may be passed as an object instead of
+// positional arguments: connect({ port, host, callTo, callFrom, transport }).
+// Without a host or transport, the callTo name is resolved to find one.
 NetbiosSession.prototype.connect = function(port, addr, callFrom, callTo, cb) {
+  var ss = this._sessionState;
+
+  var transport = null;
+  var resolver = null;
+  if (port && typeof port === 'object') {
+    var opts = port;
+    cb = addr;
+    port = opts.port;
+    addr = opts.host;
+    callFrom = opts.callFrom;
+    callTo = opts.callTo;
+    transport = opts.transport || null;
+
+    if (!addr && !transport && !opts.path) {
+      resolver = opts.resolver || ss.resolver;
+    }
+
+    if (!transport && opts.path) {
+      transport = function() {
+        return net.createConnection(opts.path);
+      };
+    }
+
+    // An already connected stream cannot be reopened after a retarget
+    if (transport && typeof transport !== 'function') {
+      this.connectStream(transport, callTo, callFrom, cb);
+      return;
+    }
+  }
+
+  if (!this._checkInactive('connect', cb)) {
+    return;
+  }
+
+  ss.transport = transport;
+  ss.streamOnly = false;
+  ss.retargetCount = 0;
+  ss.connectPort = port;
+  ss.connectHost = addr;
+  ss.connectResolver = resolver;
+
+  var done = this._startAttempt(cb);
+
+  if (resolver) {
+    this._connectByName(port, callFrom, callTo, done);
+    return;
+  }
+
+  this._connect(port, addr, callFrom, callTo, done);
+};
+
+// Remember the callback of a connect() in progress so that destroy() can
+// fail it no matter which step the connect has reached.  A connect that
+// fails ends the session.
+NetbiosSession.prototype._startAttempt = function(cb) {
   var self = this;
   var ss = self._sessionState;
 
-  if (ss.mode || ss.socket) {
+  var attempt = ss.attempt = { callback: cb };
+
+  return function(error) {
+    if (ss.attempt !== attempt) {
+      return;
+    }
+    ss.attempt = null;
+
+    // A write waiting for the session fails only after the callback has
+    // the error.  See _connectFailed().
+    var pending = null;
+    if (error) {
+      pending = ss.pendingWrite;
+      ss.pendingWrite = null;
+      self._terminate(true);
+    }
     if (typeof cb === 'function') {
-      var error = new Error('Cannot connect Session already active.');
-      process.nextTick(cb.bind(null, error));
+      cb(error);
+    } else if (error) {
+      self.emit('error', error);
+    }
+    if (pending) {
+      ss.pendingWrite = pending;
+      self._failPendingWrite();
+    }
+  };
+};
+
+// Resolve the called name and then try each of its addresses in turn until
+// a session is established.
+NetbiosSession.prototype._connectByName = function(port, callFrom, callTo, cb) {
+  var self = this;
+  var ss = self._sessionState;
+
+  // Keep connect() from being called again while we wait
+  ss.mode = 'resolving';
+
+  ss.connectResolver(callTo, function(error, addresses) {
+    if (ss.mode !== 'resolving') {
+      return;
+    }
+    ss.mode = null;
+
+    if (!error && (!addresses || addresses.length < 1)) {
+      error = new errors.SessionError('Unable to resolve name [' + callTo +
+                                      ']');
+      error.code = 'ENOTFOUND';
+    }
+
+    if (error) {
+      error.callTo = callTo;
+      error.callFrom = callFrom;
+      error.remoteAddress = null;
+      self._connectFailed(error, cb);
+      return;
+    }
+
+    self._connectAny(port, addresses, callFrom, callTo, cb);
+  });
+};
+
+NetbiosSession.prototype._connectAny = function(port, addresses, callFrom,
+                                                callTo, cb) {
+  var self = this;
+  var ss = self._sessionState;
+  var index = 0;
+
+  var attempt = function() {
+    if (ss.destroyed) {
+      return;
     }
+
+    var addr = addresses[index];
+    index += 1;
+
+    // Pending writes are kept for the next address.  See _failPendingWrite().
+    ss.moreAddresses = index < addresses.length;
+    ss.connectHost = addr;
+    ss.retargetCount = 0;
+
+    self._connect(port, addr, callFrom, callTo, function(error) {
+      // Let the failed attempt finish cleaning up before the next one
+      if (error && ss.moreAddresses && !ss.destroyed) {
+        self._releaseSocket();
+        process.nextTick(attempt);
+        return;
+      }
+
+      ss.moreAddresses = false;
+
+      if (typeof cb === 'function') {
+        cb(error);
+      } else if (error) {
+        self.emit('error', error);
+      }
+    });
+  };
+
+  attempt();
+};
+
+// Request a session over a stream that is already connected.  This can be
+// any duplex stream, such as a TLS socket or one end of an in-memory pipe.
+NetbiosSession.prototype.connectStream = function(stream, callTo, callFrom, cb) {
+  var ss = this._sessionState;
+
+  if (!this._checkInactive('connect', cb)) {
     return;
   }
 
+  ss.transport = null;
+  ss.streamOnly = true;
+  ss.retargetCount = 0;
+  this._connectSocket(stream, callFrom, callTo, this._startAttempt(cb));
+};
+
+NetbiosSession.prototype._checkInactive = function(action, cb) {
+  var ss = this._sessionState;
+
+  if (!ss.destroyed && !ss.mode && !ss.socket && !ss.connectAbort) {
+    return true;
+  }
+
+  if (typeof cb === 'function') {
+    var error = ss.destroyed
+      ? new errors.SessionStateError('Cannot ' + action + ' Session closed.',
+                                     ss.mode)
+      : new errors.SessionStateError('Cannot ' + action +
+                                     ' Session already active.', ss.mode);
+    process.nextTick(cb.bind(null, error));
+  }
+  return false;
+};
+
+NetbiosSession.prototype._connect = function(port, addr, callFrom, callTo, cb) {
+  var self = this;
+  var ss = self._sessionState;
+
   if (typeof port !== 'number') {
     port = DEFAULT_PORT;
   }
 
-  var socket = net.createConnection(port, addr, function() {
+  var socket = ss.transport ? ss.transport(port, addr)
+                            : net.createConnection(port, addr);
+  var timer = null;
+
+  // Until the socket connects, it is not ss.socket.  Let destroy() stop it.
+  ss.connectAbort = function() {
+    clearTimeout(timer);
+    socket.removeListener('connect', onConnect);
+    socket.removeListener('error', onError);
+    socket.destroy();
+  };
+
+  var onConnect = function() {
+    clearTimeout(timer);
+    ss.connectAbort = null;
+    socket.removeListener('error', onError);
     self._connectSocket(socket, callFrom, callTo, cb);
-  });
+  };
+
+  var onError = function(error) {
+    clearTimeout(timer);
+    ss.connectAbort = null;
+    socket.removeListener('connect', onConnect);
+    error.remoteAddress = addr;
+    error.callTo = callTo;
+    error.callFrom = callFrom;
+    self._connectFailed(error, cb);
+  };
+
+  socket.once('error', onError);
+
+  // A transport may return a stream that is already connected.  Only wait
+  // for sockets that are still connecting.
+  if (socket.connecting || socket._connecting) {
+    socket.once('connect', onConnect);
+  } else {
+    process.nextTick(function() {
+      if (socket.listeners('error').indexOf(onError) > -1) {
+        onConnect();
+      }
+    });
+  }
+
+  if (ss.connectTimeout > 0) {
+    timer = setTimeout(function() {
+      ss.connectAbort = null;
+      socket.removeListener('connect', onConnect);
+      socket.removeListener('error', onError);
+      socket.destroy();
+      var error = new errors.SessionTimeoutError('connect', ss.connectTimeout);
+      error.remoteAddress = addr;
+      error.callTo = callTo;
+      error.callFrom = callFrom;
+      self._connectFailed(error, cb);
+    }, ss.connectTimeout);
+  }
+};
+
+// The connect error is reported before any write waiting on the session
+// fails, so that it is the first error seen.
+NetbiosSession.prototype._connectFailed = function(error, cb) {
+  if (typeof cb === 'function') {
+    cb(error);
+  } else {
+    this.emit('error', error);
+  }
+  this._failPendingWrite();
 };
 
 NetbiosSession.prototype._connectSocket = function(socket, callFrom, callTo, cb) {
   var ss = this._sessionState;
 
+  ss.inbound = false;
   ss.socket = socket;
   this._initInputStream();
 
   ss.mode = 'establishingOut';
+  ss.callFrom = callFrom;
+  ss.callTo = callTo;
 
   if (ss.direct) {
     if (typeof cb === 'function') {
@@ -184,14 +616,11 @@ NetbiosSession.prototype._connectSocket = function(socket, callFrom, callTo, cb)
 NetbiosSession.prototype.attach = function(socket, callback) {
   var ss = this._sessionState;
 
-  if (ss.mode || ss.socket) {
-    if (typeof callback === 'function') {
-      var error = new Error('Cannot attach Session already active.');
-      process.nextTick(callback.bind(null, error));
-    }
+  if (!this._checkInactive('attach', callback)) {
     return;
   }
 
+  ss.inbound = true;
   ss.socket = socket;
   this._initInputStream();
 
@@ -203,273 +632,1139 @@ NetbiosSession.prototype.attach = function(socket, callback) {
 
   ss.mode = 'establishingIn';
   ss.attachCallback = callback;
+  this._startHandshakeTimer();
   this._doRead();
 };
 
-NetbiosSession.prototype.pause = function() {
-  this._sessionState.paused = true;
-};
-
-NetbiosSession.prototype.resume = function() {
-  var ss = this._sessionState;
-  if (ss.paused) {
-    ss.paused = false;
-    this._doRead();
-  }
-};
+// Promise based variants of connect(), attach() and write()
 
-NetbiosSession.prototype._initInputStream = function() {
-  var ss = this._sessionState;
-  ss.inputStream = socketStream(ss.socket);
-  ss.inputStream.on('error', this.emit.bind(this, 'error'));
-  ss.inputStream.on('end', this.emit.bind(this, 'end'));
-}
+NetbiosSession.prototype.connectAsync = function(port, addr, callFrom, callTo) {
+  var self = this;
+  return _promise(function(resolve, reject) {
+    var cb = function(error) {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(self);
+    };
 
-NetbiosSession.prototype._sendRequest = function(callTo, callFrom, callback) {
-  var ss = this._sessionState;
-  var bytes = 0;
+    if (port && typeof port === 'object') {
+      self.connect(port, cb);
+      return;
+    }
+    self.connect(port, addr, callFrom, callTo, cb);
+  });
+};
 
-  var buf = new Buffer(HEADER_LENGTH + MAX_TRAILER_LENGTH);
+NetbiosSession.prototype.attachAsync = function(socket) {
+  var self = this;
+  return _promise(function(resolve, reject) {
+    self.attach(socket, function(error, request) {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(request);
+    });
+  });
+};
 
-  // Skip the header for the moment while we write the variable length names
-  bytes += HEADER_LENGTH;
+NetbiosSession.prototype.writeAsync = function(msg) {
+  var self = this;
+  return _promise(function(resolve, reject) {
+    self.write(msg, function(error) {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve();
+    });
+  });
+};
 
-  var res = callTo.write(buf, bytes);
-  if (res.error) {
-    if (typeof callback === 'function') {
-      process.nextTick(callback.bind(null, res.error));
+// Write several messages at once.  Each entry is framed as its own message,
+// but they are sent to the socket together.  The callback is called once
+// after all of the messages are written or on the first error.
+NetbiosSession.prototype.writev = function(msgs, callback) {
+  var remaining = msgs.length;
+  var done = function(error) {
+    if (typeof callback !== 'function') {
+      return;
     }
-    return;
-  }
-
-  bytes += res.bytesWritten;
-
-  res = callFrom.write(buf, bytes);
-  if (res.error) {
-    if (typeof callback === 'function') {
-      process.nextTick(callback.bind(null, res.error));
+    if (error || --remaining < 1) {
+      var cb = callback;
+      callback = null;
+      cb(error);
     }
-    return;
   };
 
-  bytes += res.bytesWritten;
-
-  var trailerLen = bytes - HEADER_LENGTH;
-
-  // Now go back and write header
-  bytes = 0;
-  var len = this._packHeader(buf, bytes, 'request', trailerLen);
-  bytes += len
-  bytes += trailerLen;
-
-  ss.connectCallback = callback;
-
-  ss.socket.write(buf.slice(0, bytes));
-};
-
-NetbiosSession.prototype.write = function(msg, callback) {
-  var ss = this._sessionState;
-
-  if (msg.length > MAX_TRAILER_LENGTH) {
-    var error = new Error('Message length [' + msg.length +
-                          '] exceeds maximum [' + MAX_TRAILER_LENGTH + ']');
-    this.emit('error', error);
+  if (remaining < 1) {
     if (typeof callback === 'function') {
-      process.nextTick(callback.bind(null, error));
+      process.nextTick(callback);
     }
-
     return true;
   }
 
-  var buf = new Buffer(HEADER_LENGTH);
-  this._packHeader(buf, 0, 'message', msg.length);
+  var cork = typeof this.cork === 'function';
+  if (cork) {
+    this.cork();
+  }
 
-  var flushed = ss.socket.write(buf);
+  var ret = true;
+  for (var i = 0; i < msgs.length; ++i) {
+    ret = this.write(msgs[i], done);
+  }
 
-  if (!flushed) {
-    ss.needDrain = true;
-    ss.socket.once('drain', this._writeMsg.bind(this, msg, callback));
-    return false;
+  if (cork) {
+    this.uncork();
   }
 
-  return this._writeMsg(msg, callback);
+  return ret;
 };
 
-NetbiosSession.prototype._writeMsg = function(msg, callback) {
-  var ss = this._sessionState;
-
-  var flushed = ss.socket.write(msg);
-
-  if (!flushed) {
-    ss.needDrain = true;
-    ss.socket.once('drain', this._doDrain.bind(this, callback));
-    return false;
-  }
-
-  this._doDrain(callback);
-  return true;
+// Send a message of the given length by writing its body to the returned
+// stream in pieces.  The message is queued like any other write.
+NetbiosSession.prototype.createMessageStream = function(length, callback) {
+  var msg = new OutgoingMessage(this, length);
+  this.write(msg, callback);
+  return msg;
 };
 
-NetbiosSession.prototype._doDrain = function(callback) {
+// Report what the session has been doing.  The counters only include
+// session messages; keep alives and ignored packets are counted separately.
+NetbiosSession.prototype.stats = function() {
   var ss = this._sessionState;
-  if (ss.needDrain) {
-    ss.needDrain = false;
-    this.emit('drain');
-  }
+  return {
+    mode: ss.mode,
+    paused: (typeof this.isPaused === 'function')
+          ? this.isPaused()
+          : !this._readableState.flowing,
+    messagesSent: ss.messagesSent,
+    bytesSent: ss.bytesSent,
+    messagesReceived: ss.messagesReceived,
+    bytesReceived: ss.bytesReceived,
+    keepAlivesSent: ss.keepAlivesSent,
+    keepAlivesReceived: ss.keepAlivesReceived,
+    ignoredPackets: ss.ignoredPackets,
+    handshakeTime: ss.handshakeTime,
+    reconnects: ss.reconnects,
+    channels: ss.mux ? ss.mux.count() : 0
+  };
+};
 
-  if (typeof callback === 'function') {
-    process.nextTick(callback);
+// Open a channel to the remote peer.  The remote session emits a 'channel'
+// event for it.  This requires the multiplex option on both sides.
+NetbiosSession.prototype.openChannel = function() {
+  var ss = this._sessionState;
+  if (!ss.mux) {
+    throw new errors.SessionStateError(
+      'Cannot open channel.  The multiplex option is not set.', ss.mode);
   }
-}
+  return ss.mux.openChannel();
+};
 
-NetbiosSession.prototype.end = function() {
+// Record every frame sent and received to the given writable stream in
+// libpcap format.  The stream is not ended when the session closes.
+NetbiosSession.prototype.startCapture = function(stream) {
   var ss = this._sessionState;
+  ss.capture = new PcapWriter(stream);
   if (ss.socket) {
-    ss.mode = null;
-    ss.paused = false;
-    ss.socket.end();
-    ss.socket = null;
+    ss.capture.setEndpoints(ss.socket, ss.inbound);
   }
+  return ss.capture;
 };
 
-NetbiosSession.prototype._packHeader = function(buf, offset, typeString, length) {
-  var type = TYPE_FROM_STRING[typeString];
-  buf.writeUInt8(type, offset);
-  offset += 1;
+NetbiosSession.prototype.stopCapture = function() {
+  var ss = this._sessionState;
+  var stream = ss.capture ? ss.capture.stream : null;
+  ss.capture = null;
+  return stream;
+};
 
-  var flags = 0;
-  if (length >= EXTENSION_LENGTH) {
-    flags |= FLAGS_E_MASK;
-    length -= EXTENSION_LENGTH;
-  }
-  buf.writeUInt8(flags, offset);
-  offset += 1;
+// Read-only views of the session state
+['mode', 'callTo', 'callFrom', 'remoteAddress'].forEach(function(name) {
+  Object.defineProperty(NetbiosSession.prototype, name, {
+    get: function() {
+      return this._sessionState[name];
+    }
+  });
+});
 
-  buf.writeUInt16BE(length, offset);
-  offset += 2;
+NetbiosSession.prototype._read = function() {
+  var ss = this._sessionState;
+  ss.needRead = true;
+  this._doRead();
+};
 
-  return offset;
+NetbiosSession.prototype._initInputStream = function() {
+  var self = this;
+  var ss = self._sessionState;
+  ss.inputStream = socketStream(ss.socket);
+  ss.remoteAddress = ss.socket.remoteAddress || null;
+  if (ss.capture) {
+    ss.capture.setEndpoints(ss.socket, ss.inbound);
+  }
+  ss.handshakeStart = Date.now();
+  ss.inputEnded = false;
+  ss.inputClosed = false;
+  ss.onInputError = self._onInputError.bind(self);
+  ss.onInputEnd = self._onInputEnd.bind(self);
+  ss.onInputReadable = function() {
+    ss.waitingReadable = false;
+    self._doRead();
+  };
+  ss.onInputClose = self._onInputClose.bind(self);
+  ss.inputStream.on('error', ss.onInputError);
+  ss.inputStream.on('end', ss.onInputEnd);
+  ss.inputStream.on('close', ss.onInputClose);
 }
 
-NetbiosSession.prototype._doRead = function() {
+NetbiosSession.prototype._onInputError = function(error) {
   var ss = this._sessionState;
 
-  var complete = ss.readFunc();
-
-  if (ss.mode === 'established' && ss.paused) {
+  if (this._shouldReconnect()) {
+    this._reconnect(error);
     return;
   }
 
-  if (!complete) {
-    ss.inputStream.once('readable', this._doRead.bind(this));
+  // A failed attempt is retried rather than ending the session
+  if ((ss.reconnecting || ss.moreAddresses) && ss.connectCallback) {
+    var cb = ss.connectCallback;
+    ss.connectCallback = null;
+    cb(this._annotateError(error));
     return;
   }
 
-  this._doRead();
-}
+  this.destroy(error);
+};
 
-NetbiosSession.prototype._readHeader = function() {
+NetbiosSession.prototype._onInputEnd = function() {
   var ss = this._sessionState;
+  var stream = ss.inputStream;
 
-  var chunk = ss.inputStream.read(HEADER_LENGTH);
-  if (!chunk) {
-    return false;
-  }
+  ss.inputEnded = true;
 
-  var bytes = 0;
+  if (this._shouldReconnect()) {
+    this._reconnect(null);
+    return;
+  }
 
-  // 8-bit type
-  var t = chunk.readUInt8(bytes);
-  bytes += 1;
+  this._stopTimers();
+  this._failPendingWrite();
+  this._abortMessageStreams();
 
-  var type = TYPE_TO_STRING[t];
-  if (!VALID_TYPES[ss.mode][type]) {
-    // Even though this was unexpected, we need to complete reading
-    // the trailer to clear the message.  Simply ignore any bytes read.
-    type = 'ignore';
+  // The remote peer hung up before we answered its request
+  if (ss.mode === 'establishingIn') {
+    var callback = ss.attachCallback;
+    ss.attachCallback = null;
+    if (typeof callback === 'function') {
+      var reset = new errors.SessionError(
+        'Connection closed during session negotiation.');
+      reset.code = 'ECONNRESET';
+      callback(this._annotateError(reset));
+    }
+    this._terminate(true);
+    return;
   }
-  ss.trailerType = type;
-
-  // 8-bit flags
-  var flags = chunk.readUInt8(bytes);
-  bytes += 1;
 
-  // 16-bit length of following trailer (plus 1-bit from the 8-bit flags above)
-  var length = chunk.readUInt16BE(bytes);
-  bytes += 2;
+  // The remote peer hung up before answering our request
+  if (ss.mode === 'establishingOut' && ss.connectCallback) {
+    var cb = ss.connectCallback;
+    ss.connectCallback = null;
+    var error = new errors.SessionError(
+      'Connection closed during session negotiation.');
+    error.code = 'ECONNRESET';
+    this._connectFailed(this._annotateError(error), cb);
+  }
 
-  // if the extension flag is set, then add it as a high order bit to the
-  // length
-  if (flags & FLAGS_E_MASK) {
-    length += EXTENSION_LENGTH;
+  // A failed attempt that moved on to another socket continues instead
+  if (ss.inputStream === stream && !ss.reconnecting && !ss.destroyed) {
+    this.push(null);
   }
+};
 
-  ss.trailerLength = length;
+// The socket is gone for good.  A session that no one is reading from
+// would otherwise never see its own 'end' and so never close.  Messages the
+// socket still holds are read as they are consumed, as before, and the
+// session ends once they run out.  See _doRead().
+NetbiosSession.prototype._onInputClose = function() {
+  var ss = this._sessionState;
 
-  if (ss.trailerLength > 0) {
-    ss.readFunc = this._readTrailer.bind(this);
-    return ss.readFunc();
+  ss.inputClosed = true;
+  if (ss.inputEnded) {
+    this._terminate(false);
+    return;
   }
+  this._doRead();
+};
+
+// A closed socket never emits 'end', so finish its input here
+NetbiosSession.prototype._endClosedInput = function() {
+  var ss = this._sessionState;
+  var stream = ss.inputStream;
 
-  ss.trailerType = null;
-  ss.trailerLength = 0;
+  this._onInputEnd();
 
-  if (type === 'positive response') {
-    this._handlePositiveResponse();
+  // Unless a reconnect replaced the socket, the session is over
+  if (ss.inputStream === stream) {
+    this._terminate(false);
   }
+};
 
-  return true;
+NetbiosSession.prototype._shouldReconnect = function() {
+  var ss = this._sessionState;
+  return !!ss.reconnect && ss.mode === 'established' && !ss.inbound &&
+         !ss.streamOnly && !ss.finished && !ss.destroyed;
 };
 
-NetbiosSession.prototype._readTrailer = function() {
+// The socket of an established client session was lost.  Rather than
+// ending the session, repeat the connection and session request with the
+// same names.  Writes are held until the session is back.
+NetbiosSession.prototype._reconnect = function(error) {
   var ss = this._sessionState;
 
-  var chunk = ss.inputStream.read(ss.trailerLength);
-  if (!chunk) {
-    return false;
-  }
+  var drainWait = ss.drainWait;
+  var outgoing = ss.outgoingMessage;
 
-  var type = ss.trailerType;
+  ss.reconnecting = true;
+  ss.reconnectAttempt = 0;
+  this._releaseSocket();
+  ss.mode = 'reconnecting';
 
-  ss.readFunc = this._readHeader.bind(this);
-  ss.trailerType = null;
-  ss.trailerLength = 0;
+  // Whatever was handed to the old socket is gone.  Let the write queue
+  // move on so that later messages are sent once we reconnect.
+  this._abortMessageStreams();
+  if (outgoing) {
+    outgoing._complete(null);
+  }
+  if (drainWait) {
+    drainWait();
+  }
 
-  // Process the trailer data based on the message type.  Ignore keep alives
-  // and unexpected types.  Just consume the trailer to clear the message.
-  if (type === 'request') {
-    this._handleRequest(chunk);
-  } else if (type === 'message') {
-    this._handleMessage(chunk);
-  } else if (type === 'negative response') {
-    this._handleNegativeResponse(chunk);
+  this._scheduleReconnect(error);
+};
+
+NetbiosSession.prototype._scheduleReconnect = function(error) {
+  var self = this;
+  var ss = self._sessionState;
+  var opts = ss.reconnect;
+
+  if (ss.reconnectAttempt >= opts.retries) {
+    var giveUp = new errors.SessionError('Unable to reconnect after [' +
+                                         ss.reconnectAttempt +
+                                         '] attempts.');
+    giveUp.code = 'ERECONNECT';
+    giveUp.lastError = error || null;
+    ss.reconnecting = false;
+    ss.mode = null;
+    self.destroy(giveUp);
+    return;
+  }
+
+  ss.reconnectAttempt += 1;
+  var delay = _backoff(opts, ss.reconnectAttempt);
+  self.emit('reconnecting', ss.reconnectAttempt, delay, error || null);
+
+  ss.reconnectTimer = setTimeout(function() {
+    ss.reconnectTimer = null;
+    ss.retargetCount = 0;
+    var done = self._reconnectDone.bind(self);
+    if (ss.connectResolver) {
+      ss.mode = null;
+      self._connectByName(ss.connectPort, ss.callFrom, ss.callTo, done);
+      return;
+    }
+    self._connect(ss.connectPort, ss.connectHost, ss.callFrom, ss.callTo,
+                  done);
+  }, delay);
+};
+
+NetbiosSession.prototype._reconnectDone = function(error) {
+  var ss = this._sessionState;
+
+  if (ss.destroyed) {
+    return;
+  }
+
+  // The session was ended while the attempt was in flight
+  if (!ss.reconnecting) {
+    if (error) {
+      this._releaseSocket();
+      this.push(null);
+    } else if (ss.socket) {
+      ss.socket.end();
+    }
+    return;
+  }
+
+  if (error) {
+    this._releaseSocket();
+    ss.mode = 'reconnecting';
+    this._scheduleReconnect(error);
+    return;
+  }
+
+  ss.reconnecting = false;
+  ss.reconnects += 1;
+  this.emit('reconnected', ss.reconnectAttempt);
+};
+
+NetbiosSession.prototype._stopReconnect = function() {
+  var ss = this._sessionState;
+  if (ss.reconnectTimer) {
+    clearTimeout(ss.reconnectTimer);
+    ss.reconnectTimer = null;
+  }
+  if (ss.mode === 'reconnecting') {
+    ss.mode = null;
+  }
+  ss.reconnecting = false;
+};
+
+// Abandon the connection after the remote peer violated the protocol.  The
+// byte stream can no longer be trusted, so no further input is processed.
+NetbiosSession.prototype._protocolError = function(error) {
+  this.destroy(error);
+};
+
+// Tear down the session immediately.  Unlike end(), messages that have not
+// been sent yet are discarded.  The error, if given, is passed to a pending
+// attach() or connect() callback or emitted as an 'error' event.  Either
+// way, a 'close' event follows.
+NetbiosSession.prototype.destroy = function(error) {
+  var ss = this._sessionState;
+
+  if (ss.destroyed) {
+    return this;
+  }
+  ss.destroyed = true;
+  this.destroyed = true;
+
+  var mode = ss.mode;
+  var cb = null;
+  if (ss.mode === 'establishingOut') {
+    cb = ss.connectCallback;
+    ss.connectCallback = null;
+  } else if (ss.mode === 'establishingIn') {
+    cb = ss.attachCallback;
+    ss.attachCallback = null;
+  }
+
+  // A connect() may still be resolving the name or waiting for its socket
+  var attempt = ss.attempt;
+  ss.attempt = null;
+  if (attempt && mode !== 'established') {
+    cb = attempt.callback;
+  }
+
+  var abort = ss.connectAbort;
+  ss.connectAbort = null;
+  if (abort) {
+    abort();
+  }
+
+  var socket = ss.socket;
+  ss.pendingWrite = null;
+  this._stopReconnect();
+  this._abortMessageStreams();
+  this._releaseSocket();
+  if (socket && typeof socket.destroy === 'function') {
+    socket.destroy();
+  }
+
+  if (error) {
+    this._annotateError(error);
+    if (typeof cb === 'function') {
+      cb(error);
+    } else {
+      process.nextTick(this.emit.bind(this, 'error', error));
+    }
+  } else if (typeof cb === 'function') {
+    cb(this._annotateError(new errors.SessionStateError(
+      'Session destroyed before it was established.', mode)));
+  }
+
+  this._close(!!error);
+  return this;
+};
+
+// Any message stream still in progress will never be completed
+NetbiosSession.prototype._abortMessageStreams = function() {
+  var ss = this._sessionState;
+
+  var truncated = null;
+  if (ss.body || ss.outgoingMessage) {
+    truncated = this._annotateError(new errors.SessionError(
+      'Connection closed in the middle of a message.'));
+    truncated.code = 'ECONNRESET';
+  }
+
+  if (ss.body) {
+    var body = ss.body;
+    ss.body = null;
+    body.emit('error', truncated);
+  }
+
+  if (ss.outgoingMessage) {
+    var outgoing = ss.outgoingMessage;
+    ss.outgoingMessage = null;
+    outgoing.emit('error', truncated);
+  }
+};
+
+NetbiosSession.prototype._maybeClose = function() {
+  var ss = this._sessionState;
+  if (ss.ended && ss.finished) {
+    this._releaseSocket();
+    this._close(false);
+  }
+};
+
+NetbiosSession.prototype._close = function(hadError) {
+  var ss = this._sessionState;
+  if (ss.closed) {
+    return;
+  }
+  ss.closed = true;
+  process.nextTick(this.emit.bind(this, 'close', hadError));
+};
+
+// Quietly close the current socket without ending the session.  This is
+// used when the session needs to move to a new socket, such as when the
+// remote peer retargets us to a different address.
+NetbiosSession.prototype._releaseSocket = function() {
+  var ss = this._sessionState;
+  if (ss.inputStream) {
+    ss.inputStream.removeListener('error', ss.onInputError);
+    ss.inputStream.removeListener('end', ss.onInputEnd);
+    ss.inputStream.removeListener('close', ss.onInputClose);
+    ss.inputStream.removeListener('readable', ss.onInputReadable);
+    ss.inputStream = null;
+    ss.waitingReadable = false;
+  }
+  if (ss.socket) {
+    ss.socket.end();
+    ss.socket = null;
+  }
+  if (ss.throttleTimer) {
+    clearTimeout(ss.throttleTimer);
+    ss.throttleTimer = null;
+  }
+  ss.mode = null;
+  this._stopTimers();
+};
+
+NetbiosSession.prototype._sendRequest = function(callTo, callFrom, callback) {
+  var ss = this._sessionState;
+
+  var res = codec.encode({ type: 'request', callTo: callTo, callFrom: callFrom });
+  if (res.error) {
+    if (typeof callback === 'function') {
+      process.nextTick(callback.bind(null, res.error));
+    }
+    return;
+  }
+
+  ss.connectCallback = callback;
+
+  if (ss.capture) {
+    ss.capture.write('out', res.buffer);
   }
 
+  ss.socket.write(res.buffer);
+  this._startHandshakeTimer();
+};
+
+// A message that can never be sent is refused before it reaches the stream.
+// Failing it in _write() would leave the stream errored, so that no later
+// write could complete.  Like other failed writes, the error is passed to
+// the callback and emitted.
+NetbiosSession.prototype.write = function(msg, encoding, callback) {
+  if (typeof encoding === 'function') {
+    callback = encoding;
+    encoding = null;
+  }
+
+  var error = this._refuseWrite(msg);
+  if (!error) {
+    return Duplex.prototype.write.call(this, msg, encoding, callback);
+  }
+
+  var self = this;
+  process.nextTick(function() {
+    if (typeof callback === 'function') {
+      callback(error);
+    }
+    self.emit('error', error);
+  });
+  return false;
+};
+
+// The stream would pass a final message straight to _write(), so send it
+// through write() instead.
+NetbiosSession.prototype.end = function(msg, encoding, callback) {
+  if (typeof msg === 'function') {
+    callback = msg;
+    msg = null;
+  } else if (typeof encoding === 'function') {
+    callback = encoding;
+    encoding = null;
+  }
+
+  if (msg !== null && msg !== undefined) {
+    this.write(msg, encoding);
+  }
+  return Duplex.prototype.end.call(this, callback);
+};
+
+NetbiosSession.prototype._refuseWrite = function(msg) {
+  var ss = this._sessionState;
+
+  var length = _messageLength(msg);
+  if (length > ss.maxMessageLength) {
+    return this._annotateError(
+      new errors.MessageTooLongError(length, ss.maxMessageLength));
+  }
+
+  if (ss.reconnecting && !ss.reconnect.queue &&
+      ss.mode !== 'established') {
+    return this._annotateError(new errors.SessionStateError(
+      'Cannot write while the session is reconnecting.', ss.mode));
+  }
+
+  return null;
+};
+
+// Each object written to the session is framed as a single message.  An
+// array of Buffers is sent as one message without concatenating them.
+NetbiosSession.prototype._write = function(msg, encoding, callback) {
+  this._writeMessages([msg], callback);
+};
+
+// Called by the stream with every write buffered while a previous write was
+// in progress, such as between cork() and uncork().
+NetbiosSession.prototype._writev = function(chunks, callback) {
+  this._writeMessages(chunks.map(function(entry) {
+    return entry.chunk;
+  }), callback);
+};
+
+NetbiosSession.prototype._writeMessages = function(msgs, callback) {
+  var ss = this._sessionState;
+
+  if (ss.destroyed) {
+    callback(this._annotateError(new errors.SessionStateError(
+      'Cannot write to a destroyed session.', ss.mode)));
+    return;
+  }
+
+  // Messages cannot be sent until the session is negotiated.  Hold on to
+  // the messages until then.  This also holds back any further writes.
+  // Without a reconnect queue, write() refuses new messages while
+  // reconnecting.  Those it accepted before the socket was lost still wait.
+  if (ss.mode !== 'established') {
+    ss.pendingWrite = { msgs: msgs, callback: callback };
+    return;
+  }
+
+  var self = this;
+  var socket = ss.socket;
+
+  // Frame all of the messages while the socket is corked so that they are
+  // passed to the kernel together.  An OutgoingMessage must be finished
+  // before anything after it can be sent.
+  var cork = typeof socket.cork === 'function';
+  if (cork) {
+    socket.cork();
+  }
+
+  var flushed = true;
+  var outgoing = null;
+  var rest = null;
+  for (var j = 0; j < msgs.length; ++j) {
+    flushed = this._writeFrame(msgs[j]);
+    if (msgs[j] instanceof OutgoingMessage) {
+      outgoing = msgs[j];
+      rest = msgs.slice(j + 1);
+      break;
+    }
+  }
+
+  ss.lastSent = Date.now();
+
+  if (cork) {
+    socket.uncork();
+  }
+
+  if (outgoing) {
+    ss.outgoingMessage = outgoing;
+    outgoing._start(socket, function(error) {
+      ss.outgoingMessage = null;
+
+      // The remote peer can no longer tell where the next message starts.
+      // The write callback reports the error, so the session only closes.
+      if (error) {
+        callback(error);
+        self._terminate(true);
+        return;
+      }
+
+      if (rest.length < 1) {
+        callback();
+        return;
+      }
+      self._writeMessages(rest, callback);
+    });
+    return;
+  }
+
+  // If the socket is lost while waiting, then the wait is abandoned.  See
+  // _reconnect().
+  if (!flushed) {
+    var onDrain = function() {
+      if (ss.drainWait === onDrain) {
+        ss.drainWait = null;
+        callback();
+      }
+    };
+    ss.drainWait = onDrain;
+    socket.once('drain', onDrain);
+    return;
+  }
+
+  callback();
+};
+
+// Write the header and body of a single message.  The body of an
+// OutgoingMessage is written later as it arrives.
+NetbiosSession.prototype._writeFrame = function(msg) {
+  var ss = this._sessionState;
+  var socket = ss.socket;
+
+  var parts = (msg instanceof OutgoingMessage) ? []
+            : Array.isArray(msg) ? msg : [msg];
+  var length = _messageLength(msg);
+
+  var header = new Buffer(HEADER_LENGTH);
+  codec.encodeHeader(header, 0, 'message', length, ss.codecOpts);
+
+  ss.messagesSent += 1;
+
+  if (ss.capture) {
+    ss.capture.write('out', Buffer.concat([header].concat(parts)));
+  }
+
+  var flushed = socket.write(header);
+  parts.forEach(function(part) {
+    ss.bytesSent += part.length;
+    flushed = socket.write(part);
+  });
+
+  return flushed;
+};
+
+// Called by an OutgoingMessage for each piece of its body
+NetbiosSession.prototype._messageStreamSent = function(chunk) {
+  var ss = this._sessionState;
+  ss.bytesSent += chunk.length;
+  ss.lastSent = Date.now();
+  if (ss.capture) {
+    ss.capture.write('out', chunk);
+  }
+};
+
+NetbiosSession.prototype._flushPendingWrite = function() {
+  var ss = this._sessionState;
+  var pending = ss.pendingWrite;
+  if (pending) {
+    ss.pendingWrite = null;
+    this._writeMessages(pending.msgs, pending.callback);
+  }
+};
+
+// While reconnecting, the pending write is kept for the next attempt
+NetbiosSession.prototype._failPendingWrite = function() {
+  var ss = this._sessionState;
+  var pending = ss.pendingWrite;
+  if (pending && !ss.reconnecting && !ss.moreAddresses) {
+    ss.pendingWrite = null;
+    pending.callback(this._annotateError(new errors.SessionStateError(
+      'Session closed before it was established.', ss.mode)));
+  }
+};
+
+// Close the socket immediately after a failed negotiation.  Unlike end(),
+// this does not wait for pending messages since they can never be sent.
+// Outbound sessions end once the connect() callback has the error.
+NetbiosSession.prototype._shutdown = function(hadError) {
+  var ss = this._sessionState;
+  this._stopTimers();
+  if (ss.socket) {
+    ss.mode = null;
+    ss.socket.end();
+    ss.socket = null;
+  }
+  this._failPendingWrite();
+  if (ss.inbound) {
+    this._terminate(!!hadError);
+  }
+};
+
+// End the session without reporting anything.  Any error has already been
+// reported, so only 'close' remains.
+NetbiosSession.prototype._terminate = function(hadError) {
+  var ss = this._sessionState;
+  if (ss.destroyed) {
+    return;
+  }
+  ss.destroyed = true;
+  this.destroyed = true;
+  this._failPendingWrite();
+  ss.pendingWrite = null;
+  this._abortMessageStreams();
+  this._releaseSocket();
+  this._close(hadError);
+};
+
+NetbiosSession.prototype._doRead = function() {
+  var ss = this._sessionState;
+  var stream = ss.inputStream;
+
+  // Avoid re-entering the read loop if a message consumer calls back into
+  // read() while we are still processing a packet.  The outer loop will
+  // pick up the change in needRead.
+  if (!stream || ss.inRead) {
+    return;
+  }
+
+  ss.inRead = true;
+
+  // Stop if the socket was released while processing the packet
+  while (ss.inputStream === stream) {
+    // Negotiation packets are always processed, but once the session is
+    // established we only read messages as fast as they are consumed.
+    // Streamed messages apply their own backpressure instead.
+    if (ss.mode === 'established' &&
+        (ss.streamMessages ? ss.bodyPaused : !ss.needRead)) {
+      break;
+    }
+
+    // Wait for the receive limiter to recover.  See _throttle().
+    if (ss.throttleTimer) {
+      break;
+    }
+
+    if (!ss.readFunc()) {
+      // A closed socket has nothing more to read and never becomes readable
+      if (ss.inputClosed && ss.inputStream === stream) {
+        ss.inRead = false;
+        this._endClosedInput();
+        return;
+      }
+      if (!ss.waitingReadable) {
+        ss.waitingReadable = true;
+        stream.once('readable', ss.onInputReadable);
+      }
+      break;
+    }
+  }
+
+  ss.inRead = false;
+}
+
+NetbiosSession.prototype._readHeader = function() {
+  var ss = this._sessionState;
+
+  var chunk = ss.inputStream.read(HEADER_LENGTH);
+  if (!chunk) {
+    return false;
+  }
+
+  // Once the input ends, read() returns whatever is left.  A partial
+  // packet cannot be used, so drop it.
+  if (chunk.length < HEADER_LENGTH) {
+    return false;
+  }
+
+  ss.lastReceived = Date.now();
+
+  var header = codec.decodeHeader(chunk, 0, ss.codecOpts);
+  if (header.error) {
+    this._protocolError(header.error);
+    return false;
+  }
+
+  // After a failed negotiation there is no valid packet type.  Anything
+  // the peer sends while we close the socket is ignored.
+  var valid = VALID_TYPES[ss.mode] || {};
+  if (!valid[header.type]) {
+    if (ss.strict && ss.mode) {
+      this._protocolError(new errors.SessionStateError(
+        'Unexpected ' + header.type + ' packet in [' + ss.mode + '] state',
+        ss.mode));
+      return false;
+    }
+
+    // Even though this was unexpected, we need to complete reading
+    // the trailer to clear the message.  Simply ignore any bytes read.
+    header.type = 'ignore';
+  }
+
+  // Refuse to buffer a message larger than we allow, even if it would be
+  // ignored.  The rest of the stream cannot be trusted after this, so it is
+  // always an error.
+  if ((header.type === 'message' || header.type === 'ignore') &&
+      header.length > ss.maxMessageLength) {
+    this._protocolError(new errors.MessageTooLongError(header.length,
+                                                       ss.maxMessageLength));
+    return false;
+  }
+
+  // Likewise, do not wait for a request that could never be valid
+  if (header.type === 'request' && header.length > MAX_REQUEST_LENGTH) {
+    this._protocolError(new errors.MalformedPacketError(
+      'Session request length [' + header.length + '] exceeds maximum [' +
+      MAX_REQUEST_LENGTH + ']', 'request'));
+    return false;
+  }
+
+  if (header.type === 'message' && ss.receiveLimiter) {
+    this._throttle(header.length);
+  }
+
+  if (header.type === 'message' && ss.streamMessages) {
+    return this._startMessageStream(header, chunk);
+  }
+
+  ss.trailerHeader = header;
+  ss.headerChunk = chunk;
+
+  if (header.length > 0) {
+    ss.readFunc = this._readTrailer.bind(this);
+    return ss.readFunc();
+  }
+
+  ss.trailerHeader = null;
+
+  if (ss.capture) {
+    ss.capture.write('in', chunk);
+  }
+
+  this._handlePacket(header, chunk.slice(HEADER_LENGTH));
+
   return true;
 };
 
-NetbiosSession.prototype._handleRequest = function(chunk) {
+// Charge a received message against the receive limiter.  The message is
+// still read, but if the limiter is left in debt, then nothing more is read
+// from the socket until the debt is paid off.
+NetbiosSession.prototype._throttle = function(length) {
   var self = this;
   var ss = self._sessionState;
 
-  var nbname = NBName.fromBuffer(chunk, 0);
-  if (nbname.error) {
-    if (typeof ss.attachCallback === 'function') {
-      ss.attachCallback(nbname.error);
+  var wait = ss.receiveLimiter.remove(length);
+  if (wait < 1 || ss.throttleTimer) {
+    return;
+  }
+
+  ss.throttleTimer = setTimeout(function() {
+    ss.throttleTimer = null;
+    self._doRead();
+  }, wait);
+};
+
+NetbiosSession.prototype._readTrailer = function() {
+  var ss = this._sessionState;
+
+  var header = ss.trailerHeader;
+
+  var chunk = ss.inputStream.read(header.length);
+  if (!chunk) {
+    return false;
+  }
+
+  if (chunk.length < header.length) {
+    ss.readFunc = this._readHeader.bind(this);
+    ss.trailerHeader = null;
+    return false;
+  }
+
+  ss.lastReceived = Date.now();
+
+  ss.readFunc = this._readHeader.bind(this);
+  ss.trailerHeader = null;
+
+  if (ss.capture) {
+    ss.capture.write('in', Buffer.concat([ss.headerChunk, chunk]));
+  }
+
+  this._handlePacket(header, chunk);
+
+  return true;
+};
+
+NetbiosSession.prototype._startMessageStream = function(header, chunk) {
+  var ss = this._sessionState;
+
+  if (ss.capture) {
+    ss.capture.write('in', chunk);
+  }
+
+  ss.messagesReceived += 1;
+  ss.body = new IncomingMessage(this, header.length);
+  ss.bodyRemaining = header.length;
+  ss.bodyPaused = false;
+  ss.readFunc = this._readMessageStream.bind(this);
+
+  this.emit('messageStream', ss.body);
+
+  return ss.readFunc();
+};
+
+// Pass the body of a streamed message along as it arrives.  Reading stops
+// while the IncomingMessage is full.  See _doRead().
+NetbiosSession.prototype._readMessageStream = function() {
+  var ss = this._sessionState;
+  var body = ss.body;
+
+  if (ss.bodyRemaining > 0) {
+    var chunk = ss.inputStream.read();
+    if (!chunk) {
+      return false;
+    }
+
+    // Leave any bytes from the next packet for the header reader
+    if (chunk.length > ss.bodyRemaining) {
+      ss.inputStream.unshift(chunk.slice(ss.bodyRemaining));
+      chunk = chunk.slice(0, ss.bodyRemaining);
+    }
+
+    ss.bodyRemaining -= chunk.length;
+    ss.bytesReceived += chunk.length;
+    ss.lastReceived = Date.now();
+
+    if (ss.capture) {
+      ss.capture.write('in', chunk);
+    }
+
+    if (!body.push(chunk)) {
+      ss.bodyPaused = true;
     }
   }
 
-  var callTo = nbname;
+  if (ss.bodyRemaining < 1) {
+    ss.body = null;
+    ss.readFunc = this._readHeader.bind(this);
 
-  nbname = NBName.fromBuffer(chunk, callTo.bytesRead);
-  if (nbname.error) {
-    if (typeof ss.attachCallback === 'function') {
-      ss.attachCallback(nbname.error);
+    // The body is complete, but still full.  Wait for it to be consumed
+    // before reading the next message.
+    if (ss.bodyPaused) {
+      body.once('end', this._resumeMessageStream.bind(this));
     }
+    body.push(null);
+  }
+
+  return true;
+};
+
+// Called when an IncomingMessage wants more of its body
+NetbiosSession.prototype._resumeMessageStream = function() {
+  var ss = this._sessionState;
+  if (ss.bodyPaused) {
+    ss.bodyPaused = false;
+    this._doRead();
+  }
+};
+
+NetbiosSession.prototype._handlePacket = function(header, trailer) {
+  var ss = this._sessionState;
+  var type = header.type;
+
+  // Ignore keep alives and unexpected types.  The trailer has already been
+  // consumed to clear the packet.
+  if (type === 'ignore') {
+    ss.ignoredPackets += 1;
     return;
   }
 
-  var callFrom = nbname;
+  if (type === 'keep alive') {
+    ss.keepAlivesReceived += 1;
+    return;
+  }
+
+  if (type === 'message') {
+    ss.messagesReceived += 1;
+    ss.bytesReceived += trailer.length;
+    this._handleMessage(trailer);
+    return;
+  }
+
+  // The responses have fixed lengths, so require an exact match.  Session
+  // requests are parsed leniently to tolerate trailing bytes unless the
+  // strict option is set.
+  var packet = codec.decodeTrailer(header, trailer,
+                                   { strict: ss.strict || type !== 'request' });
+
+  if (packet.error && ss.strict) {
+    this._protocolError(packet.error);
+    return;
+  }
+
+  if (type === 'request') {
+    this._handleRequest(packet);
+  } else if (type === 'positive response') {
+    this._handlePositiveResponse(packet);
+  } else if (type === 'negative response') {
+    this._handleNegativeResponse(packet);
+  } else if (type === 'retarget response') {
+    this._handleRetargetResponse(packet);
+  }
+};
+
+NetbiosSession.prototype._handleRequest = function(packet) {
+  var self = this;
+  var ss = self._sessionState;
+
+  // The request has arrived.  The decision to accept or reject is up to
+  // the callback, so it is not limited by the handshake timeout.
+  self._stopHandshakeTimer();
+
+  if (packet.error) {
+    var failed = ss.attachCallback;
+    ss.attachCallback = null;
+    if (typeof failed === 'function') {
+      failed(self._annotateError(packet.error));
+    }
+    return;
+  }
+
+  var callTo = packet.callTo;
+  var callFrom = packet.callFrom;
+
+  ss.callTo = callTo;
+  ss.callFrom = callFrom;
+
+  // The access policy is applied first.  A denied request is rejected
+  // with the response code for the rule that failed and the callback only
+  // learns of it through the error.
+  var decision = null;
+  if (ss.access) {
+    decision = ss.access({ callTo: callTo, callFrom: callFrom,
+                           remoteAddress: ss.remoteAddress });
+    if (!decision.allowed) {
+      var cb = ss.attachCallback;
+      ss.attachCallback = null;
+      var error = self._annotateError(
+        new errors.SessionRejectedError(decision.errorCode, decision.reason));
+      self._emitAccess('reject', 'policy', decision);
+      self._sendNegativeResponse(decision.reason);
+      if (typeof cb === 'function') {
+        cb(error);
+      }
+      return;
+    }
+  }
 
   // If we have a callback, then make the call passing a request object.
   // The callback can then use the request object to accept() or reject()
@@ -477,47 +1772,268 @@ NetbiosSession.prototype._handleRequest = function(chunk) {
   // asynchronously at a later time.  If a callback is not supplied then
   // the default policy is applied.  Normally this is reject by default,
   // but this can be overriden by passing {autoAccept: true} to the
-  // constructor.
-  var errorString = null;
+  // constructor or by giving an access policy that the request passed.
   if (typeof ss.attachCallback === 'function') {
+    // The connection may be lost while the callback is deciding.  The
+    // decision is then an error rather than a response.
+    var checkOpen = function(action) {
+      if (!ss.destroyed && ss.socket) {
+        return null;
+      }
+      return self._annotateError(new errors.SessionStateError(
+        'Cannot ' + action + ' request.  Session closed.', ss.mode));
+    };
+
     var request = {
       callTo: callTo,
       callFrom: callFrom,
       accept: function() {
-        self._established();
+        var error = checkOpen('accept');
+        if (error) {
+          return error;
+        }
+        self._emitAccess('accept', 'callback', null);
         self._sendPositiveResponse();
+        self._established();
         request.accept = null;
         request.reject = null;
+        request.retarget = null;
       },
       reject: function(s) {
+        var error = checkOpen('reject');
+        if (error) {
+          return error;
+        }
+        self._emitAccess('reject', 'callback', _rejectDecision(s));
         self._sendNegativeResponse(s);
         request.accept = null;
         request.reject = null;
+        request.retarget = null;
+      },
+      retarget: function(host, port) {
+        var error = checkOpen('retarget');
+        if (error) {
+          return error;
+        }
+        self._emitAccess('retarget', 'callback', null);
+        error = self._sendRetargetResponse(host, port);
+        request.accept = null;
+        request.reject = null;
+        request.retarget = null;
+        return error;
       }
     };
-    ss.attachCallback(null, request);
+    // The callback is only called once.  Later errors are emitted instead.
+    var attachCallback = ss.attachCallback;
+    ss.attachCallback = null;
+    attachCallback(null, request);
     return;
   }
 
   // No callback to check for acceptance, so use the default policy
-  if (!ss.acceptDefault) {
-    self._established();
+  if (ss.autoAccept || decision) {
+    self._emitAccess('accept', decision ? 'policy' : 'default', decision);
     self._sendPositiveResponse();
+    self._established();
   } else {
+    self._emitAccess('reject', 'default', _rejectDecision(null));
     self._sendNegativeResponse(null);
   }
 };
 
+// Report how a session request was decided.  The source is 'policy' for
+// the access option, 'callback' for the attach() callback or 'default'.
+NetbiosSession.prototype._emitAccess = function(action, source, decision) {
+  var ss = this._sessionState;
+  decision = decision || {};
+  this.emit('access', {
+    action: action,
+    source: source,
+    rule: decision.rule || null,
+    list: decision.list || null,
+    errorCode: decision.errorCode || null,
+    reason: decision.reason || null,
+    callTo: ss.callTo,
+    callFrom: ss.callFrom,
+    remoteAddress: ss.remoteAddress
+  });
+};
+
+// Describe a reject() call the same way as a policy decision
+function _rejectDecision(reason) {
+  var errorCode = codec.ERROR_CODE_FROM_STRING[reason] ||
+                  codec.ERROR_CODE_FROM_STRING['Unspecified error'];
+  return { errorCode: errorCode,
+           reason: codec.ERROR_CODE_TO_STRING[errorCode] };
+}
+
+// Fill in the session details on an error for the benefit of the caller
+NetbiosSession.prototype._annotateError = function(error) {
+  var ss = this._sessionState;
+  error.callTo = ss.callTo;
+  error.callFrom = ss.callFrom;
+  error.remoteAddress = ss.socket ? (ss.socket.remoteAddress || null) : null;
+  return error;
+};
+
 NetbiosSession.prototype._established = function() {
-  this._sessionState.mode = 'established';
+  var ss = this._sessionState;
+  ss.mode = 'established';
+  ss.handshakeTime = Date.now() - ss.handshakeStart;
+  this._stopHandshakeTimer();
+  this._startTimers();
+  this._flushPendingWrite();
   this.emit('connect');
 };
 
+NetbiosSession.prototype._startTimers = function() {
+  var ss = this._sessionState;
+
+  var now = Date.now();
+  ss.lastSent = now;
+  ss.lastReceived = now;
+  ss.lastBytesRead = ss.socket ? ss.socket.bytesRead : 0;
+
+  if (ss.keepAliveInterval > 0) {
+    this._scheduleKeepAlive(ss.keepAliveInterval);
+  }
+
+  if (ss.idleTimeout > 0) {
+    this._scheduleIdleCheck(ss.idleTimeout);
+  }
+};
+
+NetbiosSession.prototype._stopTimers = function() {
+  var ss = this._sessionState;
+
+  if (ss.keepAliveTimer) {
+    clearTimeout(ss.keepAliveTimer);
+    ss.keepAliveTimer = null;
+  }
+
+  if (ss.idleTimer) {
+    clearTimeout(ss.idleTimer);
+    ss.idleTimer = null;
+  }
+
+  this._stopHandshakeTimer();
+};
+
+// Limit how long we wait for the remote peer to send a request or
+// response while negotiating the session.
+NetbiosSession.prototype._startHandshakeTimer = function() {
+  var ss = this._sessionState;
+  if (ss.handshakeTimeout > 0) {
+    ss.handshakeTimer = _unref(setTimeout(this._handshakeTimedOut.bind(this),
+                                          ss.handshakeTimeout));
+  }
+};
+
+NetbiosSession.prototype._stopHandshakeTimer = function() {
+  var ss = this._sessionState;
+  if (ss.handshakeTimer) {
+    clearTimeout(ss.handshakeTimer);
+    ss.handshakeTimer = null;
+  }
+};
+
+NetbiosSession.prototype._handshakeTimedOut = function() {
+  var ss = this._sessionState;
+  ss.handshakeTimer = null;
+
+  var error = this._annotateError(
+    new errors.SessionTimeoutError('handshake', ss.handshakeTimeout));
+
+  if (ss.mode === 'establishingOut') {
+    var cb = ss.connectCallback;
+    ss.connectCallback = null;
+    this._shutdown();
+    this._connectFailed(error, cb);
+    return;
+  }
+
+  if (ss.mode === 'establishingIn') {
+    var callback = ss.attachCallback;
+    ss.attachCallback = null;
+    this._shutdown(true);
+    if (typeof callback === 'function') {
+      callback(error);
+    }
+  }
+};
+
+// Rather than resetting a timer on every packet, the timers simply check
+// how long it has been since the last packet and then reschedule themselves
+// for the remaining time.
+NetbiosSession.prototype._scheduleKeepAlive = function(delay) {
+  var ss = this._sessionState;
+  ss.keepAliveTimer = _unref(setTimeout(this._checkKeepAlive.bind(this), delay));
+};
+
+NetbiosSession.prototype._checkKeepAlive = function() {
+  var ss = this._sessionState;
+  ss.keepAliveTimer = null;
+
+  if (ss.mode !== 'established' || !ss.socket) {
+    return;
+  }
+
+  // A keep alive cannot be sent in the middle of a streamed message
+  var quiet = Date.now() - ss.lastSent;
+  if (quiet >= ss.keepAliveInterval && !ss.outgoingMessage) {
+    this._sendKeepAlive();
+    quiet = 0;
+  }
+
+  this._scheduleKeepAlive(ss.keepAliveInterval - quiet);
+};
+
+NetbiosSession.prototype._scheduleIdleCheck = function(delay) {
+  var ss = this._sessionState;
+  ss.idleTimer = _unref(setTimeout(this._checkIdle.bind(this), delay));
+};
+
+NetbiosSession.prototype._checkIdle = function() {
+  var ss = this._sessionState;
+  ss.idleTimer = null;
+
+  if (ss.mode !== 'established' || !ss.socket) {
+    return;
+  }
+
+  var now = Date.now();
+
+  // We do not read from the socket while paused, but the socket still
+  // counts the bytes arriving from the peer.  Use that to detect activity.
+  var bytesRead = ss.socket.bytesRead;
+  if (typeof bytesRead === 'number' && bytesRead !== ss.lastBytesRead) {
+    ss.lastBytesRead = bytesRead;
+    ss.lastReceived = now;
+  }
+
+  var silent = now - ss.lastReceived;
+  if (silent >= ss.idleTimeout) {
+    this.emit('timeout');
+    if (ss.endOnTimeout) {
+      this.end();
+      return;
+    }
+
+    // Keep emitting 'timeout' for each additional period of silence
+    ss.lastReceived = now;
+    silent = 0;
+  }
+
+  this._scheduleIdleCheck(ss.idleTimeout - silent);
+};
+
 NetbiosSession.prototype._handleMessage = function(chunk) {
-  this.emit('message', chunk);
+  if (!this.push(chunk)) {
+    this._sessionState.needRead = false;
+  }
 };
 
-NetbiosSession.prototype._handlePositiveResponse = function(chunk) {
+NetbiosSession.prototype._handlePositiveResponse = function(packet) {
   var ss = this._sessionState;
 
   if (ss.mode !== 'establishingOut') {
@@ -526,6 +2042,15 @@ NetbiosSession.prototype._handlePositiveResponse = function(chunk) {
 
   var cb = ss.connectCallback;
   ss.connectCallback = null;
+
+  if (packet.error) {
+    if (typeof cb === 'function') {
+      cb(this._annotateError(packet.error));
+    }
+    this._shutdown();
+    return;
+  }
+
   this._established();
 
   if (typeof cb === 'function') {
@@ -533,7 +2058,7 @@ NetbiosSession.prototype._handlePositiveResponse = function(chunk) {
   }
 };
 
-NetbiosSession.prototype._handleNegativeResponse = function(chunk) {
+NetbiosSession.prototype._handleNegativeResponse = function(packet) {
   var ss = this._sessionState;
 
   if (ss.mode !== 'establishingOut') {
@@ -543,62 +2068,256 @@ NetbiosSession.prototype._handleNegativeResponse = function(chunk) {
   var cb = ss.connectCallback;
   ss.connectCallback = null;
 
-  if (chunk.length !== 1) {
-    if (typeof cb === 'function') {
-      cb(new Error('Malformed negative response.  Connection failed.'));
-      this.end();
-      return;
-    }
-  }
-
-  var errCode = chunk.readUInt8(0);
-  var errString = ERROR_CODE_TO_STRING[errCode];
-  if (!errString) {
-    errString = 'unknown error';
-  }
+  var error = packet.error ||
+              new errors.SessionRejectedError(packet.errorCode, packet.reason);
 
   if (typeof cb === 'function') {
-    cb(new Error('Connection failed with response code [' + errString + ']'));
+    cb(this._annotateError(error));
   }
 
-  this.end();
+  this._shutdown();
 };
 
-NetbiosSession.prototype._sendPositiveResponse = function() {
+NetbiosSession.prototype._handleRetargetResponse = function(packet) {
   var ss = this._sessionState;
 
-  var buf = new Buffer(HEADER_LENGTH);
-  var bytes = 0;
+  if (ss.mode !== 'establishingOut') {
+    return;
+  }
 
-  var len = this._packHeader(buf, bytes, 'positive response', 0);
-  bytes += len;
+  var cb = ss.connectCallback;
+  ss.connectCallback = null;
+
+  var error = packet.error;
+  if (!error && ss.retargetCount >= ss.maxRetargets) {
+    error = new errors.SessionError('Connection retargeted more than [' +
+                                    ss.maxRetargets +
+                                    '] times.  Connection failed.');
+    error.code = 'ERETARGETLIMIT';
+  } else if (!error && ss.streamOnly) {
+    // Following the retarget would require a new connection, but we were
+    // only given a single stream.
+    error = new errors.SessionError('Connection retargeted to [' +
+                                    packet.host + ':' + packet.port +
+                                    '], but the session was connected ' +
+                                    'with a stream.  Connection failed.');
+    error.code = 'ERETARGET';
+  }
 
-  ss.socket.write(buf);
+  if (error) {
+    this._annotateError(error);
+    if (typeof cb === 'function') {
+      cb(error);
+    }
+    this._shutdown();
+    return;
+  }
+
+  ss.retargetCount += 1;
+  this.emit('retarget', packet.host, packet.port);
+
+  // The remote peer has asked us to try again somewhere else.  Close the
+  // current socket and repeat the session request at the new address.
+  var callFrom = ss.callFrom;
+  var callTo = ss.callTo;
+  this._releaseSocket();
+  this._connect(packet.port, packet.host, callFrom, callTo, cb);
 };
 
-NetbiosSession.prototype._sendNegativeResponse = function(errorString) {
+NetbiosSession.prototype._sendPacket = function(packet) {
   var ss = this._sessionState;
 
-  var buf = new Buffer(HEADER_LENGTH + 1);
-  var bytes = 0;
+  var res = codec.encode(packet);
+  if (res.error) {
+    this.emit('error', this._annotateError(res.error));
+    return false;
+  }
+
+  // Without a socket there is nothing to send or wait for
+  if (!ss.socket) {
+    return true;
+  }
 
-  var len = this._packHeader(buf, bytes, 'negative response', 1);
-  bytes += len;
+  ss.lastSent = Date.now();
 
-  var errorCode = ERROR_CODE_FROM_STRING[errorString];
-  if (!errorCode) {
-    errorCode = ERROR_CODE_FROM_STRING['Unspecified error'];
+  if (ss.capture) {
+    ss.capture.write('out', res.buffer);
   }
 
-  buf.writeUInt8(errorCode, bytes);
-  bytes += 1;
+  return ss.socket.write(res.buffer);
+};
+
+NetbiosSession.prototype._sendKeepAlive = function() {
+  this._sessionState.keepAlivesSent += 1;
+  this._sendPacket({ type: 'keep alive' });
+};
+
+NetbiosSession.prototype._sendPositiveResponse = function() {
+  this._sendPacket({ type: 'positive response' });
+};
+
+NetbiosSession.prototype._sendNegativeResponse = function(errorString) {
+  var ss = this._sessionState;
 
   // Write out the negative response back to the client trying to connect
   // to us.  Since this represents a session failure, automatically close
   // the stream once the bytes have been sent.
-  if(ss.socket.write(buf)) {
-    this.end();
+  var flushed = this._sendPacket({ type: 'negative response',
+                                   reason: errorString });
+  if (flushed) {
+    this._shutdown();
+  } else {
+    ss.socket.once('drain', this._shutdown.bind(this));
+  }
+};
+
+// An address that can not be sent rejects the request instead.  The error
+// is returned to the caller of retarget() rather than emitted.
+NetbiosSession.prototype._sendRetargetResponse = function(host, port) {
+  var ss = this._sessionState;
+
+  if (port === null || port === undefined) {
+    port = DEFAULT_PORT;
+  }
+
+  var error = null;
+  if (!net.isIPv4(host)) {
+    error = new errors.SessionError(
+      'Retarget host [' + host + '] must be an IPv4 address.');
+  } else if (typeof port !== 'number' || port % 1 !== 0 || port < 1 ||
+             port > 65535) {
+    error = new errors.SessionError(
+      'Retarget port [' + port + '] must be an integer from 1 to 65535.');
+  }
+
+  if (error) {
+    this._sendNegativeResponse(null);
+    return this._annotateError(error);
+  }
+
+  // Like a negative response, the retarget ends this session.  The client
+  // is expected to reconnect to the new address.
+  var flushed = this._sendPacket({ type: 'retarget response', host: host,
+                                   port: port });
+  if (flushed) {
+    this._shutdown();
   } else {
-    ss.socket.once('drain', this.end.bind(this));
+    ss.socket.once('drain', this._shutdown.bind(this));
   }
+  return null;
 };
+
+// Messages may be a single Buffer or an array of Buffers
+function _messageLength(msg) {
+  if (!Array.isArray(msg)) {
+    return msg.length;
+  }
+
+  var length = 0;
+  for (var i = 0; i < msg.length; ++i) {
+    length += msg[i].length;
+  }
+  return length;
+}
+
+// Fill in the defaults for the reconnect option.  Passing true uses them
+// all, while a falsy value disables reconnecting.
+function _reconnectOptions(opts) {
+  if (!opts) {
+    return null;
+  }
+
+  if (typeof opts !== 'object') {
+    opts = {};
+  }
+
+  var result = {};
+  Object.keys(DEFAULT_RECONNECT).forEach(function(key) {
+    result[key] = (opts[key] !== undefined) ? opts[key]
+                                            : DEFAULT_RECONNECT[key];
+  });
+  return result;
+}
+
+// Exponential backoff with jitter.  The jitter removes up to that fraction
+// of the delay at random so that many clients do not retry in lock step.
+function _backoff(opts, attempt) {
+  var delay = Math.min(opts.maxDelay,
+                       opts.minDelay * Math.pow(opts.factor, attempt - 1));
+  return Math.round(delay * (1 - opts.jitter * Math.random()));
+}
+
+// Timers should not keep the process running on their own
+function _unref(timer) {
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+}
+
+function _promise(executor) {
+  if (typeof Promise !== 'function') {
+    throw new errors.SessionError('Promises are not supported by this ' +
+                                  'version of node.');
+  }
+  return new Promise(executor);
+}
+
+// Support `for await (var msg of session)` where the syntax is available.
+// Each iteration produces a single message.  Newer versions of node provide
+// an iterator for all readable streams, but older experimental versions do
+// not reliably see the end of the session, so always use our own.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  NetbiosSession.prototype[Symbol.asyncIterator] = function() {
+    var self = this;
+    var ended = false;
+    var failed = null;
+
+    self.once('end', function() { ended = true; });
+    self.once('error', function(error) { failed = error; });
+
+    var next = function() {
+      return _promise(function(resolve, reject) {
+        var attempt = function() {
+          self.removeListener('readable', attempt);
+          self.removeListener('end', attempt);
+          self.removeListener('error', attempt);
+
+          if (failed) {
+            reject(failed);
+            return;
+          }
+
+          var msg = self.read();
+          if (msg !== null) {
+            resolve({ value: msg, done: false });
+            return;
+          }
+
+          if (ended) {
+            resolve({ value: undefined, done: true });
+            return;
+          }
+
+          self.once('readable', attempt);
+          self.once('end', attempt);
+          self.once('error', attempt);
+        };
+        attempt();
+      });
+    };
+
+    var iterator = {
+      next: next,
+      return: function() {
+        ended = true;
+        self.end();
+        return _promise(function(resolve) {
+          resolve({ value: undefined, done: true });
+        });
+      }
+    };
+    iterator[Symbol.asyncIterator] = function() { return iterator; };
+    return iterator;
+  };
+}
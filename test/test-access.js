@@ -0,0 +1,242 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+
+var Session = require('../session');
+var access = require('../access');
+
+var NBName = require('netbios-name');
+var net = require('net');
+
+var CALL_TO = new NBName({name: 'SERVER', suffix: 0x20});
+var CALL_FROM = new NBName({name: 'CLIENT', suffix: 0x00});
+
+module.exports.testAllowAll = function(test) {
+  var policy = access.createPolicy({});
+  test.ok(policy({ callTo: CALL_TO, callFrom: CALL_FROM,
+                   remoteAddress: '10.0.0.1' }).allowed);
+  test.done();
+};
+
+module.exports.testNames = function(test) {
+  var policy = access.createPolicy({
+    allow: { callTo: 'SERVER', callFrom: ['CLIENT', 'OTHER'] },
+    deny: { callFrom: new NBName({name: 'OTHER', suffix: 0x03}) }
+  });
+
+  test.ok(policy({ callTo: CALL_TO, callFrom: CALL_FROM }).allowed);
+
+  var res = policy({ callTo: new NBName({name: 'ELSEWHERE', suffix: 0x20}),
+                     callFrom: CALL_FROM });
+  test.equal(res.allowed, false);
+  test.equal(res.rule, 'callTo');
+  test.equal(res.list, 'allow');
+  test.equal(res.errorCode, 0x80);
+  test.equal(res.reason, 'Not listening on called name');
+
+  res = policy({ callTo: CALL_TO,
+                 callFrom: new NBName({name: 'OTHER', suffix: 0x03}) });
+  test.equal(res.rule, 'callFrom');
+  test.equal(res.list, 'deny');
+  test.equal(res.errorCode, 0x81);
+
+  test.ok(policy({ callTo: CALL_TO,
+                   callFrom: new NBName({name: 'other', suffix: 0x00}) })
+          .allowed);
+  test.done();
+};
+
+module.exports.testScope = function(test) {
+  var policy = access.createPolicy({ allow: { scopeId: ['', 'Example.COM'] } });
+
+  test.ok(policy({ callTo: CALL_TO, callFrom: CALL_FROM }).allowed);
+  test.ok(policy({
+    callTo: new NBName({name: 'SERVER', suffix: 0x20, scopeId: 'example.com'}),
+    callFrom: CALL_FROM
+  }).allowed);
+
+  var res = policy({
+    callTo: new NBName({name: 'SERVER', suffix: 0x20, scopeId: 'other.com'}),
+    callFrom: CALL_FROM
+  });
+  test.equal(res.rule, 'scopeId');
+  test.equal(res.errorCode, 0x82);
+  test.done();
+};
+
+module.exports.testAddress = function(test) {
+  var policy = access.createPolicy({
+    allow: { address: ['10.0.0.0/8', '192.168.1.5', '::1'] },
+    deny: { address: '10.1.0.0/16' }
+  });
+
+  var check = function(address) {
+    return policy({ callTo: CALL_TO, callFrom: CALL_FROM,
+                    remoteAddress: address });
+  };
+
+  test.ok(check('10.2.3.4').allowed);
+  test.ok(check('::ffff:10.2.3.4').allowed);
+  test.ok(check('192.168.1.5').allowed);
+  test.ok(check('::1').allowed);
+  test.equal(check('192.168.1.6').allowed, false);
+  test.equal(check(null).allowed, false);
+
+  var res = check('10.1.2.3');
+  test.equal(res.rule, 'address');
+  test.equal(res.list, 'deny');
+  test.equal(res.errorCode, 0x8f);
+
+  // Address checks come before name checks
+  policy = access.createPolicy({ deny: { address: '0.0.0.0/0',
+                                         callFrom: 'CLIENT' } });
+  test.equal(check('1.2.3.4').rule, 'address');
+  test.done();
+};
+
+module.exports.testFunctions = function(test) {
+  var policy = access.createPolicy({
+    deny: {
+      callFrom: function(name) {
+        return name.name.indexOf('GUEST') === 0;
+      }
+    }
+  });
+
+  test.ok(policy({ callTo: CALL_TO, callFrom: CALL_FROM }).allowed);
+  test.equal(policy({ callTo: CALL_TO,
+                      callFrom: new NBName({name: 'GUEST1'}) }).rule,
+             'callFrom');
+  test.done();
+};
+
+module.exports.testInvalid = function(test) {
+  test.throws(function() {
+    access.createPolicy({ allow: { address: '10.0.0.0/40' } });
+  });
+  test.throws(function() {
+    access.createPolicy({ deny: { address: 'not an address' } });
+  });
+  test.throws(function() {
+    access.createPolicy({ allow: { callTo: {} } });
+  });
+  test.done();
+};
+
+module.exports.testSessionDeny = function(test) {
+  test.expect(6);
+
+  var pair = Session.createPair({
+    serverOptions: { access: { deny: { callFrom: 'CLIENT' } } },
+    onRequest: function(error, request) {
+      test.ok(error instanceof Session.SessionRejectedError);
+      test.equal(error.rfcCode, 0x81);
+      test.equal(request, undefined);
+    }
+  }, function(error) {
+    test.equal(error.rfcCode, 0x81);
+    test.done();
+  });
+
+  pair.server.on('access', function(info) {
+    test.equal(info.action, 'reject');
+    test.equal(info.source, 'policy');
+  });
+};
+
+module.exports.testSessionEvents = function(test) {
+  test.expect(6);
+
+  var onRequest = function(error, request) {
+    request.reject('Called name not present');
+  };
+
+  var pair = Session.createPair({
+    serverOptions: { access: { allow: { callTo: 'SERVER' } } },
+    onRequest: onRequest
+  }, function(error) {
+    test.equal(error.rfcCode, 0x82);
+    test.done();
+  });
+
+  // The policy passed, so the decision is reported from the callback
+  pair.server.on('access', function(info) {
+    test.equal(info.action, 'reject');
+    test.equal(info.source, 'callback');
+    test.equal(info.errorCode, 0x82);
+    test.equal(info.callTo.name, 'SERVER');
+    test.equal(info.callFrom.name, 'CLIENT');
+  });
+};
+
+module.exports.testDefaultPolicy = function(test) {
+  test.expect(6);
+
+  // Without an attach() callback, requests are rejected unless autoAccept
+  // is set or an access policy is given.
+  _attachDefault({}, function(error, info) {
+    test.equal(error.rfcCode, 0x8f);
+    test.equal(info.source, 'default');
+
+    _attachDefault({ autoAccept: true }, function(error, info) {
+      test.equal(error, null);
+      test.equal(info.source, 'default');
+
+      _attachDefault({ access: { allow: { address: '127.0.0.1' } } },
+                     function(error, info) {
+        test.equal(error, null);
+        test.equal(info.source, 'policy');
+        test.done();
+      });
+    });
+  });
+};
+
+// Attach a session without a callback and report the result of connecting
+// to it along with the 'access' event.
+function _attachDefault(opts, callback) {
+  var info = null;
+  var session = null;
+
+  var server = net.createServer(function(socket) {
+    session = new Session(opts);
+    session.on('access', function(i) {
+      info = i;
+    });
+    session.attach(socket);
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var client = new Session();
+    client.connect(server.address().port, '127.0.0.1', CALL_FROM, CALL_TO,
+                   function(error) {
+      client.destroy();
+      if (session) {
+        session.destroy();
+      }
+      server.close();
+      callback(error || null, info);
+    });
+  });
+}
@@ -0,0 +1,185 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+
+var NBName = require('netbios-name');
+var PcapSocket = require('pcap-socket');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+
+// Collect everything written to the capture
+function _sink() {
+  var chunks = [];
+  return {
+    write: function(chunk) {
+      chunks.push(chunk);
+      return true;
+    },
+    end: function() {},
+    buffer: function() {
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports.testFormat = function(test) {
+  test.expect(13);
+
+  var sink = _sink();
+
+  Session.createPair({
+    clientOptions: { capture: sink }
+  }, function(error, client, server) {
+    var buf = sink.buffer();
+
+    // Global header
+    test.equal(buf.readUInt32LE(0), 0xa1b2c3d4);
+    test.equal(buf.readUInt32LE(20), 1);
+
+    // The first record is the session request sent to port 139
+    var offset = 24;
+    var length = buf.readUInt32LE(offset + 8);
+    test.equal(length, 14 + 20 + 20 + 72);
+
+    var frame = buf.slice(offset + 16, offset + 16 + length);
+    test.equal(frame.readUInt16BE(12), 0x0800);
+    test.equal(frame.readUInt8(14 + 9), 6);
+    test.equal(_checksum(frame.slice(14, 34)), 0);
+    test.equal(frame.readUInt16BE(34 + 2), 139);
+    test.equal(frame.readUInt8(54), 0x81);
+
+    // The second record is the positive response from port 139
+    offset += 16 + length;
+    length = buf.readUInt32LE(offset + 8);
+    test.equal(length, 14 + 20 + 20 + 4);
+
+    frame = buf.slice(offset + 16, offset + 16 + length);
+    test.equal(frame.readUInt16BE(34), 139);
+    test.equal(frame.readUInt8(54), 0x82);
+
+    // The acknowledgement covers the request
+    test.equal(frame.readUInt32BE(34 + 8), 1 + 72);
+
+    test.equal(offset + 16 + length, buf.length);
+    client.end();
+    test.done();
+  });
+};
+
+module.exports.testStopCapture = function(test) {
+  test.expect(2);
+
+  var sink = _sink();
+
+  var pair = Session.createPair(function(error, client, server) {
+    test.equal(server.stopCapture(), sink);
+    var length = sink.buffer().length;
+
+    client.write(new Buffer('hello'));
+    server.once('data', function() {
+      test.equal(sink.buffer().length, length);
+      client.end();
+      test.done();
+    });
+  });
+
+  pair.server.startCapture(sink);
+};
+
+module.exports.testReplay = function(test) {
+  test.expect(4);
+
+  var file = path.join(os.tmpdir(),
+                       'netbios-session-capture-' + process.pid + '.pcap');
+  var out = fs.createWriteStream(file);
+  var ports = null;
+
+  var server = net.createServer(function(socket) {
+    ports = { localPort: socket.localPort, remotePort: socket.remotePort };
+
+    var recv = new Session({ capture: out });
+    recv.attach(socket, function(error, request) {
+      request.accept();
+    });
+    recv.resume();
+    recv.on('end', function() {
+      recv.end();
+      out.end();
+    });
+  });
+
+  out.on('close', function() {
+    server.close();
+
+    // Replay what the server saw through a new session
+    var psocket = new PcapSocket(file, '127.0.0.1', {
+      localPort: ports.localPort,
+      remotePort: ports.remotePort
+    });
+
+    var session = new Session();
+    session.attach(psocket, function(error, request) {
+      test.equal(error, null);
+      test.equal(request.callTo.name, 'DST');
+      request.accept();
+    });
+
+    session.on('data', function(msg) {
+      test.equal(msg.toString(), 'hello');
+    });
+
+    session.on('end', function() {
+      // The request followed by the framed message
+      test.equal(psocket.bytesRead, 72 + 4 + 5);
+      fs.unlinkSync(file);
+      test.done();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.connect(server.address().port, '127.0.0.1',
+                 new NBName({name: 'SRC', suffix: 0x20}),
+                 new NBName({name: 'DST', suffix: 0x20}), function(error) {
+      send.end(new Buffer('hello'));
+      send.resume();
+    });
+  });
+};
+
+function _checksum(buf) {
+  var sum = 0;
+  for (var i = 0; i < buf.length; i += 2) {
+    sum += buf.readUInt16BE(i);
+  }
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return (~sum) & 0xffff;
+}
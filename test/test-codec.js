@@ -0,0 +1,235 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var codec = require('../codec');
+var errors = require('../errors');
+
+var NBName = require('netbios-name');
+
+module.exports.testMessage = function(test) {
+  var data = new Buffer('hello world');
+  var res = codec.encode({type: 'message', data: data});
+  test.equal(res.error, undefined);
+  test.equal(res.buffer.length, 4 + data.length);
+  test.equal(res.buffer.readUInt8(0), 0x00);
+  test.equal(res.buffer.readUInt8(1), 0);
+  test.equal(res.buffer.readUInt16BE(2), data.length);
+
+  var packet = codec.decode(res.buffer);
+  test.equal(packet.type, 'message');
+  test.equal(packet.data.toString(), 'hello world');
+  test.equal(packet.bytesRead, res.buffer.length);
+  test.done();
+};
+
+module.exports.testExtensionBit = function(test) {
+  var data = new Buffer(codec.MAX_TRAILER_LENGTH);
+  data.fill(0x55);
+
+  var res = codec.encode({type: 'message', data: data});
+  test.equal(res.buffer.readUInt8(1), 0x80);
+  test.equal(res.buffer.readUInt16BE(2), 0xffff);
+
+  var packet = codec.decode(res.buffer, 0, {strict: true});
+  test.equal(packet.length, codec.MAX_TRAILER_LENGTH);
+  test.equal(packet.data.length, codec.MAX_TRAILER_LENGTH);
+
+  res = codec.encode({type: 'message', data: new Buffer(data.length + 1)});
+  test.ok(res.error instanceof errors.MessageTooLongError);
+  test.done();
+};
+
+module.exports.testRequest = function(test) {
+  var callTo = new NBName({name: 'VMWINXP', suffix: 0x20});
+  var callFrom = new NBName({name: 'PRINTER', suffix: 0x00});
+
+  var res = codec.encode({type: 'request', callTo: callTo, callFrom: callFrom});
+  test.equal(res.buffer.readUInt8(0), 0x81);
+  test.equal(res.buffer.readUInt16BE(2), 68);
+
+  var packet = codec.decode(res.buffer, 0, {strict: true});
+  test.equal(packet.type, 'request');
+  test.equal(packet.callTo.toString(), callTo.toString());
+  test.equal(packet.callFrom.toString(), callFrom.toString());
+  test.equal(packet.bytesRead, 72);
+
+  res = codec.encode({type: 'request', callTo: callTo});
+  test.ok(res.error);
+  test.done();
+};
+
+module.exports.testResponses = function(test) {
+  var res = codec.encode({type: 'positive response'});
+  test.deepEqual(_bytes(res.buffer), [0x82, 0, 0, 0]);
+  test.equal(codec.decode(res.buffer).type, 'positive response');
+
+  res = codec.encode({type: 'negative response',
+                      reason: 'Called name not present'});
+  test.deepEqual(_bytes(res.buffer), [0x83, 0, 0, 1, 0x82]);
+  var packet = codec.decode(res.buffer);
+  test.equal(packet.errorCode, 0x82);
+  test.equal(packet.reason, 'Called name not present');
+
+  res = codec.encode({type: 'negative response', errorCode: 0x83});
+  test.equal(res.buffer.readUInt8(4), 0x83);
+
+  res = codec.encode({type: 'retarget response', host: '10.0.1.12', port: 139});
+  test.deepEqual(_bytes(res.buffer), [0x84, 0, 0, 6, 10, 0, 1, 12, 0, 139]);
+  packet = codec.decode(res.buffer);
+  test.equal(packet.host, '10.0.1.12');
+  test.equal(packet.port, 139);
+
+  res = codec.encode({type: 'retarget response', host: 'example.com'});
+  test.ok(res.error);
+
+  res = codec.encode({type: 'keep alive'});
+  test.deepEqual(_bytes(res.buffer), [0x85, 0, 0, 0]);
+  test.equal(codec.decode(res.buffer).type, 'keep alive');
+
+  test.ok(codec.encode({type: 'bogus'}).error);
+  test.done();
+};
+
+module.exports.testEncodeInvalid = function(test) {
+  var callTo = new NBName({name: 'VMWINXP', suffix: 0x20});
+
+  // Bad fields are returned as errors rather than thrown
+  var packets = [
+    {type: 'retarget response', host: '10.0.1.12', port: 70000},
+    {type: 'retarget response', host: '10.0.1.12'},
+    {type: 'retarget response', host: 'example.com', port: 139},
+    {type: 'negative response', errorCode: 300},
+    {type: 'negative response', errorCode: 1.5},
+    {type: 'message', data: 'hello'},
+    {type: 'request', callTo: callTo},
+    {type: 'bogus'}
+  ];
+
+  packets.forEach(function(packet) {
+    var res = codec.encode(packet);
+    test.ok(res.error instanceof errors.MalformedPacketError);
+    test.equal(res.error.code, 'EMALFORMED');
+    test.ok(!res.buffer);
+  });
+
+  var res = codec.encode({type: 'keep alive'}, {lengthFormat: 'smb2-direct'});
+  test.ok(res.error instanceof errors.MalformedPacketError);
+  test.equal(res.error.packetType, 'keep alive');
+  test.done();
+};
+
+module.exports.testIncomplete = function(test) {
+  var res = codec.encode({type: 'message', data: new Buffer(10)});
+  test.equal(codec.decode(res.buffer.slice(0, 3)), null);
+  test.equal(codec.decode(res.buffer.slice(0, 8)), null);
+  test.equal(codec.decodeHeader(res.buffer.slice(0, 8)).length, 10);
+  test.done();
+};
+
+module.exports.testOffset = function(test) {
+  var first = codec.encode({type: 'keep alive'}).buffer;
+  var second = codec.encode({type: 'message', data: new Buffer('abc')}).buffer;
+  var buf = Buffer.concat([first, second]);
+
+  var packet = codec.decode(buf, 0);
+  test.equal(packet.type, 'keep alive');
+
+  packet = codec.decode(buf, packet.bytesRead);
+  test.equal(packet.type, 'message');
+  test.equal(packet.data.toString(), 'abc');
+  test.done();
+};
+
+module.exports.testStrict = function(test) {
+  // Unknown packet type
+  var buf = new Buffer([0x99, 0, 0, 2, 1, 2]);
+  var packet = codec.decode(buf);
+  test.equal(packet.type, 'unknown');
+  test.equal(packet.typeCode, 0x99);
+  test.equal(packet.data.length, 2);
+
+  packet = codec.decode(buf, 0, {strict: true});
+  test.ok(packet.error instanceof errors.MalformedPacketError);
+  test.equal(packet.bytesRead, 6);
+
+  // Reserved flag bits
+  buf = new Buffer([0x85, 0x01, 0, 0]);
+  test.equal(codec.decode(buf).type, 'keep alive');
+  test.ok(codec.decode(buf, 0, {strict: true}).error);
+
+  // Extra trailer bytes on a fixed length packet
+  buf = new Buffer([0x83, 0, 0, 2, 0x80, 0]);
+  test.equal(codec.decode(buf).errorCode, 0x80);
+  test.ok(codec.decode(buf, 0, {strict: true}).error);
+
+  // Missing trailer bytes are always an error
+  buf = new Buffer([0x84, 0, 0, 2, 0, 0]);
+  test.ok(codec.decode(buf).error);
+
+  // Truncated request names
+  buf = new Buffer([0x81, 0, 0, 3, 0x20, 0x41, 0x41]);
+  packet = codec.decode(buf);
+  test.ok(packet.error instanceof errors.MalformedPacketError);
+  test.equal(packet.error.packetType, 'request');
+  test.done();
+};
+
+module.exports.testSmb2Direct = function(test) {
+  var opts = {lengthFormat: 'smb2-direct'};
+  var data = new Buffer(0x023456);
+  var res = codec.encode({type: 'message', data: data}, opts);
+  test.equal(res.error, undefined);
+  test.deepEqual(_bytes(res.buffer.slice(0, 4)), [0, 0x02, 0x34, 0x56]);
+
+  var packet = codec.decode(res.buffer, 0, opts);
+  test.equal(packet.type, 'message');
+  test.equal(packet.length, data.length);
+  test.equal(packet.data.length, data.length);
+
+  // The same bytes are too long for the rfc1002 format
+  test.ok(codec.encode({type: 'message', data: data}).error instanceof
+          errors.MessageTooLongError);
+  test.equal(codec.MAX_LENGTH['smb2-direct'], 0xffffff);
+  test.equal(codec.MAX_LENGTH['rfc1002'], codec.MAX_TRAILER_LENGTH);
+
+  // Only messages exist in this format
+  test.ok(codec.encode({type: 'keep alive'}, opts).error);
+
+  var buf = new Buffer([0xfe, 0, 0, 1, 0]);
+  test.equal(codec.decode(buf, 0, opts).type, 'unknown');
+  opts.strict = true;
+  test.ok(codec.decode(buf, 0, opts).error instanceof
+          errors.MalformedPacketError);
+  test.done();
+};
+
+function _bytes(buf) {
+  var rtn = [];
+  for (var i = 0; i < buf.length; ++i) {
+    rtn.push(buf[i]);
+  }
+  return rtn;
+}
@@ -90,12 +90,12 @@ module.exports.client = function(test) {
         test.equal(0, chunk.readUInt8(1));
         test.equal(68, chunk.readUInt16BE(2));
 
-        var from = NBName.fromBuffer(chunk, 4);
-        test.equal(from.toString(), callFrom.toString());
-
-        var to = NBName.fromBuffer(chunk, 4 + from.bytesRead);
+        var to = NBName.fromBuffer(chunk, 4);
         test.equal(to.toString(), callTo.toString());
 
+        var from = NBName.fromBuffer(chunk, 4 + to.bytesRead);
+        test.equal(from.toString(), callFrom.toString());
+
         gotRequest = true;
       }
     } else {
@@ -109,7 +109,7 @@ module.exports.client = function(test) {
 
   // verify we can establish a connection, this would fail if the pcap
   // file did not include a positive response
-  session._connectSocket(psocket, callTo, callFrom, function(error) {
+  session.connectStream(psocket, callTo, callFrom, function(error) {
     test.equal(null, error);
 
     // pcap file session data is ignored in the "client" case, so send our
@@ -117,6 +117,9 @@ module.exports.client = function(test) {
     session.write(new Buffer(msg));
   });
 
+  // The pcap messages from the server are not checked, but they must be
+  // consumed for the session to end.
+  session.resume();
   session.on('end', function() {
     test.done();
   });
@@ -0,0 +1,323 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+// Feed randomized, mutated and truncated frames through the session reader.
+// The random generator is seeded so that any failure can be reproduced.
+
+var Session = require('../session');
+
+var NBName = require('netbios-name');
+var util = require('util');
+
+var Duplex = require('stream').Duplex;
+if (!Duplex) {
+  Duplex = require('readable-stream').Duplex;
+}
+
+var SEED = 0x5eed;
+var ITERATIONS = 200;
+
+var codec = Session.codec;
+
+module.exports.testRandomBytes = function(test) {
+  var random = _random(SEED);
+  _iterate(test, function(strict, done) {
+    var chunks = [];
+    var count = random.int(4) + 1;
+    for (var i = 0; i < count; ++i) {
+      chunks.push(random.bytes(random.int(80)));
+    }
+    _feed(test, { strict: strict }, chunks, done);
+  });
+};
+
+module.exports.testTruncatedFrames = function(test) {
+  var random = _random(SEED + 1);
+  _iterate(test, function(strict, done) {
+    var bytes = _validStream();
+    var cut = random.int(bytes.length);
+    _feed(test, { strict: strict }, [bytes.slice(0, cut)], done);
+  });
+};
+
+module.exports.testMutatedFrames = function(test) {
+  var random = _random(SEED + 2);
+  _iterate(test, function(strict, done) {
+    var bytes = _validStream();
+    var flips = random.int(4) + 1;
+    for (var i = 0; i < flips; ++i) {
+      bytes[random.int(bytes.length)] = random.int(256);
+    }
+    _feed(test, { strict: strict }, _split(random, bytes), done);
+  });
+};
+
+module.exports.testDataAfterReject = function(test) {
+  var random = _random(SEED + 4);
+  _iterate(test, function(strict, done) {
+    var bytes = Buffer.concat([_validStream(), random.bytes(random.int(80))]);
+    var opts = { strict: strict, reject: true };
+    _feed(test, opts, _split(random, bytes), function(result) {
+      test.equal(result.messages.length, 0);
+      done(result);
+    });
+  });
+};
+
+module.exports.testReservedFlags = function(test) {
+  test.expect(4);
+
+  var bytes = _validStream();
+
+  // Set a reserved bit in the flags of the request header
+  bytes[1] = 0x02;
+
+  _feed(test, { strict: false }, [bytes], function(result) {
+    test.equal(result.error, null);
+    test.equal(result.messages.length, 2);
+
+    _feed(test, { strict: true }, [bytes], function(result) {
+      test.ok(result.error instanceof Session.MalformedPacketError);
+      test.equal(result.messages.length, 0);
+      test.done();
+    });
+  });
+};
+
+module.exports.testUnexpectedType = function(test) {
+  test.expect(4);
+
+  // A positive response is never valid from the calling side
+  var bytes = Buffer.concat([codec.encode({ type: 'positive response' }).buffer,
+                             _validStream()]);
+
+  _feed(test, { strict: false }, [bytes], function(result) {
+    test.equal(result.error, null);
+    test.equal(result.messages.length, 2);
+
+    _feed(test, { strict: true }, [bytes], function(result) {
+      test.ok(result.error instanceof Session.SessionStateError);
+      test.equal(result.messages.length, 0);
+      test.done();
+    });
+  });
+};
+
+module.exports.testUnknownType = function(test) {
+  test.expect(3);
+
+  var bytes = Buffer.concat([new Buffer([0x42, 0, 0, 1, 0xff]),
+                             _validStream()]);
+
+  _feed(test, { strict: false }, [bytes], function(result) {
+    test.equal(result.messages.length, 2);
+
+    _feed(test, { strict: true }, [bytes], function(result) {
+      test.ok(result.error instanceof Session.MalformedPacketError);
+      test.equal(result.closed, true);
+      test.done();
+    });
+  });
+};
+
+module.exports.testOversizedRequest = function(test) {
+  test.expect(2);
+
+  // The trailer never arrives, so the error must come from the header
+  var bytes = new Buffer([0x81, 0, 0xff, 0xff]);
+
+  _feed(test, { strict: false }, [bytes], function(result) {
+    test.ok(result.error instanceof Session.MalformedPacketError);
+    test.equal(result.closed, true);
+    test.done();
+  });
+};
+
+module.exports.testRequestTrailingBytes = function(test) {
+  test.expect(2);
+
+  var request = codec.encode({
+    type: 'request',
+    callTo: new NBName({name: 'DST', suffix: 0x20}),
+    callFrom: new NBName({name: 'SRC', suffix: 0x20})
+  }).buffer;
+
+  // Append two bytes to the request and fix up the length
+  var bytes = Buffer.concat([request, new Buffer([0, 0])]);
+  bytes.writeUInt16BE(request.length - 4 + 2, 2);
+
+  _feed(test, { strict: false }, [bytes], function(result) {
+    test.equal(result.error, null);
+
+    _feed(test, { strict: true }, [bytes], function(result) {
+      test.ok(result.error instanceof Session.MalformedPacketError);
+      test.done();
+    });
+  });
+};
+
+module.exports.testRandomFragments = function(test) {
+  var random = _random(SEED + 3);
+  _iterate(test, function(strict, done) {
+    var bytes = _validStream();
+    _feed(test, { strict: strict }, _split(random, bytes), function(result) {
+      test.equal(result.error, null);
+      test.deepEqual(result.messages, ['hello', 'world']);
+      done(result);
+    });
+  });
+};
+
+// A valid session request followed by two messages
+function _validStream() {
+  var request = codec.encode({
+    type: 'request',
+    callTo: new NBName({name: 'DST', suffix: 0x20}),
+    callFrom: new NBName({name: 'SRC', suffix: 0x20})
+  });
+  var one = codec.encode({ type: 'message', data: new Buffer('hello') });
+  var two = codec.encode({ type: 'message', data: new Buffer('world') });
+  return Buffer.concat([request.buffer, one.buffer, two.buffer]);
+}
+
+// Run the given case ITERATIONS times in both lenient and strict mode.  The
+// session must never throw.  In strict mode, any error must be typed.
+function _iterate(test, run) {
+  var remaining = ITERATIONS * 2;
+  var next = function(result) {
+    if (result && result.error) {
+      test.ok(result.error instanceof Session.SessionError);
+    }
+    remaining -= 1;
+    if (remaining < 1) {
+      test.done();
+      return;
+    }
+    run(remaining % 2 === 0, next);
+  };
+  run(true, next);
+}
+
+// Attach a session to a fake socket, accept any request and write the
+// chunks to it one at a time.  The socket is then ended.  If opts.reject is
+// set, then the request is rejected instead.
+function _feed(test, opts, chunks, callback) {
+  var socket = new FakeSocket();
+  var session = new Session({ strict: opts.strict });
+
+  var result = { error: null, messages: [], closed: false };
+  var onError = function(error) {
+    if (!result.error) {
+      result.error = error;
+    }
+  };
+
+  session.on('error', onError);
+  session.on('data', function(msg) {
+    result.messages.push(msg.toString());
+  });
+  session.on('close', function() {
+    result.closed = true;
+  });
+
+  session.attach(socket, function(error, request) {
+    if (error) {
+      onError(error);
+      return;
+    }
+    if (opts.reject) {
+      request.reject('Called name not present');
+      return;
+    }
+    request.accept();
+  });
+
+  var index = 0;
+  var pushNext = function() {
+    if (index < chunks.length) {
+      socket.push(chunks[index]);
+      index += 1;
+      setImmediate(pushNext);
+      return;
+    }
+    socket.push(null);
+
+    // Let the session process everything before reporting
+    setTimeout(function() {
+      callback(result);
+    }, 0);
+  };
+  pushNext();
+}
+
+function _split(random, bytes) {
+  var chunks = [];
+  var offset = 0;
+  while (offset < bytes.length) {
+    var size = random.int(20) + 1;
+    chunks.push(bytes.slice(offset, offset + size));
+    offset += size;
+  }
+  return chunks;
+}
+
+// Small deterministic xorshift generator
+function _random(seed) {
+  var state = seed >>> 0 || 1;
+  var next = function() {
+    state ^= state << 13;
+    state >>>= 0;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    return state;
+  };
+  return {
+    int: function(max) {
+      return max > 0 ? next() % max : 0;
+    },
+    bytes: function(length) {
+      var buf = new Buffer(length);
+      for (var i = 0; i < length; ++i) {
+        buf[i] = next() & 0xff;
+      }
+      return buf;
+    }
+  };
+}
+
+util.inherits(FakeSocket, Duplex);
+
+// Readable data is pushed by the test.  Anything written is discarded.
+function FakeSocket() {
+  Duplex.call(this);
+}
+
+FakeSocket.prototype._read = function() {};
+
+FakeSocket.prototype._write = function(chunk, encoding, callback) {
+  callback();
+};
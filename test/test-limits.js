@@ -0,0 +1,117 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+
+var Session = require('../session');
+var limits = require('../limits');
+
+var NBName = require('netbios-name');
+
+var TokenBucket = limits.TokenBucket;
+var SessionLimits = limits.SessionLimits;
+
+module.exports.testTryRemove = function(test) {
+  var bucket = new TokenBucket(1, 2);
+  test.ok(bucket.tryRemove(1));
+  test.ok(bucket.tryRemove(1));
+  test.equal(bucket.tryRemove(1), false);
+  test.throws(function() {
+    new TokenBucket(0);
+  });
+  test.done();
+};
+
+module.exports.testRemoveDebt = function(test) {
+  var bucket = new TokenBucket(1000, 100);
+  test.equal(bucket.remove(50), 0);
+
+  // The amount may exceed the burst.  The wait covers the debt.
+  var wait = bucket.remove(450);
+  test.ok(wait > 390 && wait <= 400, 'wait [' + wait + ']');
+  test.done();
+};
+
+module.exports.testSessionLimits = function(test) {
+  var lim = new SessionLimits({ maxSessions: 3, maxSessionsPerAddress: 2,
+                                maxSessionsPerName: 1 });
+  var a = new NBName({name: 'A', suffix: 0x20});
+  var b = new NBName({name: 'b', suffix: 0x20});
+  var B = new NBName({name: 'B', suffix: 0x20});
+
+  // Connections count as soon as they are accepted
+  test.equal(lim.acquire('s1', '10.0.0.1'), null);
+  test.equal(lim.acquireName('s1', a), null);
+  test.equal(lim.acquire('s2', '10.0.0.1'), null);
+  test.equal(lim.acquire('s3', '10.0.0.1'), 'maxSessionsPerAddress');
+  test.equal(lim.acquireName('s2', a), 'maxSessionsPerName');
+  test.equal(lim.acquireName('s2', b), null);
+  test.equal(lim.acquire('s3', '10.0.0.3'), null);
+  test.equal(lim.acquireName('s3', B), 'maxSessionsPerName');
+  test.equal(lim.acquire('s4', '10.0.0.4'), 'maxSessions');
+
+  lim.release('s1');
+  test.equal(lim.acquire('s4', '10.0.0.4'), null);
+  test.equal(lim.acquireName('s4', a), null);
+  test.done();
+};
+
+module.exports.testRequestRate = function(test) {
+  var lim = new SessionLimits({ requestRate: 1, requestBurst: 2 });
+  test.equal(lim.acquireName('s1', null), null);
+  test.equal(lim.acquireName('s2', null), null);
+  test.equal(lim.acquireName('s3', null), 'requestRate');
+  test.done();
+};
+
+module.exports.testReceiveLimiter = function(test) {
+  test.expect(4);
+
+  var bucket = new Session.TokenBucket(10000, 100);
+  var pair = Session.createPair({
+    serverOptions: { receiveLimiter: bucket }
+  });
+
+  var msg = new Buffer(500);
+  var start = 0;
+  var count = 0;
+
+  pair.server.on('data', function(data) {
+    test.equal(data.length, msg.length);
+    count += 1;
+    if (count === 3) {
+      // Each message leaves the bucket in debt, which is paid off before
+      // the next header is read.
+      var elapsed = Date.now() - start;
+      test.ok(elapsed >= 80, 'elapsed [' + elapsed + ']');
+      test.done();
+    }
+  });
+
+  pair.client.on('connect', function() {
+    start = Date.now();
+    pair.client.write(msg);
+    pair.client.write(msg);
+    pair.client.write(msg);
+  });
+};
@@ -0,0 +1,250 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+var errors = require('../errors');
+var lmhosts = require('../lmhosts');
+
+var NBName = require('netbios-name');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+module.exports.testParse = function(test) {
+  var res = lmhosts.parse([
+    '# A comment',
+    '',
+    '10.0.0.1   rhino   #PRE #DOM:networking  # the DC',
+    '10.0.0.2   "appname        \\0x14"   #MH',
+    '#PRE is a comment when it starts the line',
+    '  10.0.0.3\tother'
+  ].join('\r\n'), { file: 'lmhosts' });
+
+  test.equal(res.error, undefined);
+  test.equal(res.entries.length, 3);
+
+  test.equal(res.entries[0].name, 'RHINO');
+  test.equal(res.entries[0].suffix, undefined);
+  test.equal(res.entries[0].address, '10.0.0.1');
+  test.equal(res.entries[0].preload, true);
+  test.equal(res.entries[0].domain, 'networking');
+  test.equal(res.entries[0].multihomed, false);
+  test.equal(res.entries[0].file, 'lmhosts');
+  test.equal(res.entries[0].line, 3);
+
+  test.equal(res.entries[1].name, 'APPNAME');
+  test.equal(res.entries[1].suffix, 0x14);
+  test.equal(res.entries[1].multihomed, true);
+  test.equal(res.entries[1].line, 4);
+
+  test.equal(res.entries[2].name, 'OTHER');
+  test.equal(res.entries[2].line, 6);
+  test.done();
+};
+
+module.exports.testParseErrors = function(test) {
+  var check = function(text, line, message) {
+    var res = lmhosts.parse(text, { file: 'lmhosts' });
+    test.ok(res.error instanceof errors.LmhostsParseError);
+    test.equal(res.error.code, 'ELMHOSTS');
+    test.equal(res.error.file, 'lmhosts');
+    test.equal(res.error.line, line);
+    test.equal(res.error.message, message);
+  };
+
+  check('10.0.0.1 A\n10.0.0.300 B', 2,
+        'Invalid address [10.0.0.300] on line [2] of [lmhosts]');
+  check('10.0.0.1', 1,
+        'Missing name for address [10.0.0.1] on line [1] of [lmhosts]');
+  check('10.0.0.1  #PRE', 1,
+        'Missing name for address [10.0.0.1] on line [1] of [lmhosts]');
+  check('10.0.0.1 ABCDEFGHIJKLMNOP', 1,
+        'Name [ABCDEFGHIJKLMNOP] is longer than [15] characters on line ' +
+        '[1] of [lmhosts]');
+  check('10.0.0.1 "NAME', 1,
+        'Missing closing quote for name on line [1] of [lmhosts]');
+  check('10.0.0.1 NAME extra', 1,
+        'Unexpected text [extra] on line [1] of [lmhosts]');
+  check('\n#INCLUDE', 2, 'Missing path for #INCLUDE on line [2] of [lmhosts]');
+  check('#BEGIN_ALTERNATE\n10.0.0.1 NAME', 2,
+        'Only #INCLUDE is allowed in an alternate block on line [2] of ' +
+        '[lmhosts]');
+  check('#BEGIN_ALTERNATE\n#INCLUDE a', 1,
+        'Missing #END_ALTERNATE on line [1] of [lmhosts]');
+  check('#END_ALTERNATE', 1,
+        '#END_ALTERNATE without #BEGIN_ALTERNATE on line [1] of [lmhosts]');
+  test.done();
+};
+
+module.exports.testToTable = function(test) {
+  var res = lmhosts.parse([
+    '10.0.0.1   FIRST',
+    '10.0.0.2   FIRST',
+    '10.0.0.3   MULTI  #MH',
+    '10.0.0.4   MULTI  #MH',
+    '10.0.0.5   "MULTI          \\0x20"'
+  ].join('\n'));
+
+  test.deepEqual(lmhosts.toTable(res.entries), [
+    { name: { name: 'FIRST', suffix: undefined }, addresses: ['10.0.0.1'] },
+    { name: { name: 'MULTI', suffix: undefined },
+      addresses: ['10.0.0.3', '10.0.0.4'] },
+    { name: { name: 'MULTI', suffix: 0x20 }, addresses: ['10.0.0.5'] }
+  ]);
+  test.done();
+};
+
+module.exports.testLoadIncludes = function(test) {
+  var dir = _tempDir();
+
+  fs.writeFileSync(path.join(dir, 'shared'), '10.0.0.2  SHARED\n');
+  fs.writeFileSync(path.join(dir, 'lmhosts'), [
+    '10.0.0.1  LOCAL',
+    '#BEGIN_ALTERNATE',
+    '#INCLUDE missing',
+    '#INCLUDE ' + path.join(dir, 'shared'),
+    '#END_ALTERNATE',
+    '10.0.0.3  LAST'
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'broken'), '#INCLUDE missing\n');
+
+  var file = path.join(dir, 'lmhosts');
+  lmhosts.load(file, function(error, entries, files) {
+    test.equal(error, null);
+    test.deepEqual(entries.map(function(entry) {
+      return entry.name;
+    }), ['LOCAL', 'SHARED', 'LAST']);
+    test.equal(entries[1].file, path.join(dir, 'shared'));
+    test.deepEqual(files, [file, path.join(dir, 'shared')]);
+
+    lmhosts.load(path.join(dir, 'broken'), function(error) {
+      test.equal(error.code, 'ELMHOSTS');
+      test.equal(error.line, 1);
+      test.equal(error.cause.code, 'ENOENT');
+      _removeDir(dir);
+      test.done();
+    });
+  });
+};
+
+module.exports.testIncludeLoop = function(test) {
+  var dir = _tempDir();
+  var file = path.join(dir, 'lmhosts');
+  fs.writeFileSync(file, '#INCLUDE lmhosts\n');
+
+  lmhosts.load(file, function(error) {
+    test.equal(error.code, 'ELMHOSTS');
+    test.equal(error.message, 'More than [8] nested #INCLUDE files on line ' +
+                              '[1] of [' + file + ']');
+    _removeDir(dir);
+    test.done();
+  });
+};
+
+module.exports.testTableLookup = function(test) {
+  var dir = _tempDir();
+  var file = path.join(dir, 'lmhosts');
+  fs.writeFileSync(file, '10.0.0.1  FILESRV\n');
+
+  lmhosts.createTable(file, function(error, table) {
+    test.equal(error, null);
+
+    var name = new NBName({name: 'filesrv', suffix: 0x20});
+    test.deepEqual(table.lookup(name), ['10.0.0.1']);
+    test.deepEqual(table.lookup(new NBName({name: 'OTHER', suffix: 0x20})),
+                   []);
+
+    // The resolve function is bound so that it can be passed on its own
+    var resolve = table.resolve;
+    resolve(name, function(error, addresses) {
+      test.equal(error, null);
+      test.deepEqual(addresses, ['10.0.0.1']);
+      table.close();
+      _removeDir(dir);
+      test.done();
+    });
+  });
+};
+
+module.exports.testCreateTableError = function(test) {
+  var dir = _tempDir();
+  var file = path.join(dir, 'lmhosts');
+  fs.writeFileSync(file, '10.0.0.1  GOOD\nbad  BAD\n');
+
+  lmhosts.createTable(file, function(error, table) {
+    test.equal(error.line, 2);
+    test.equal(table, undefined);
+    _removeDir(dir);
+    test.done();
+  });
+};
+
+module.exports.testWatch = function(test) {
+  var dir = _tempDir();
+  var file = path.join(dir, 'lmhosts');
+  fs.writeFileSync(file, '10.0.0.1  FILESRV\n');
+
+  var name = new NBName({name: 'FILESRV', suffix: 0x20});
+
+  lmhosts.createTable(file, { watch: true, interval: 10 },
+                      function(error, table) {
+    test.deepEqual(table.lookup(name), ['10.0.0.1']);
+
+    // A broken edit is reported and the old entries are kept
+    table.once('error', function(error) {
+      test.equal(error.line, 2);
+      test.deepEqual(table.lookup(name), ['10.0.0.1']);
+
+      table.once('reload', function(entries) {
+        test.equal(entries.length, 1);
+        test.deepEqual(table.lookup(name), ['10.0.0.2']);
+        table.close();
+        _removeDir(dir);
+        test.done();
+      });
+      _rewrite(file, '10.0.0.2  FILESRV\n');
+    });
+    _rewrite(file, '10.0.0.2  FILESRV\nbroken\n');
+  });
+};
+
+// Change the file so that its size or modification time always differs
+function _rewrite(file, text) {
+  setTimeout(function() {
+    fs.writeFileSync(file, text);
+    var future = new Date(Date.now() + 1000 * Math.random() + 1000);
+    fs.utimesSync(file, future, future);
+  }, 20);
+}
+
+function _tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'lmhosts-'));
+}
+
+function _removeDir(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    fs.unlinkSync(path.join(dir, name));
+  });
+  fs.rmdirSync(dir);
+}
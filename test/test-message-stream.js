@@ -0,0 +1,240 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+
+module.exports.testIncoming = function(test) {
+  test.expect(6);
+
+  // Fragment the link so that the body arrives in several pieces
+  var pair = Session.createPair({
+    fragment: 100,
+    serverOptions: { streamMessages: true }
+  });
+
+  var bodies = [];
+  pair.server.on('messageStream', function(body) {
+    var chunks = [];
+    body.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    body.on('end', function() {
+      bodies.push({ length: body.length, chunks: chunks });
+      if (bodies.length < 2) {
+        return;
+      }
+
+      test.equal(bodies[0].length, 1000);
+      test.ok(bodies[0].chunks.length > 1);
+      test.equal(Buffer.concat(bodies[0].chunks).toString(),
+                 new Array(1001).join('a'));
+      test.equal(bodies[1].length, 5);
+      test.equal(Buffer.concat(bodies[1].chunks).toString(), 'hello');
+      test.equal(pair.server.stats().messagesReceived, 2);
+      pair.client.end();
+      test.done();
+    });
+  });
+
+  var big = new Buffer(1000);
+  big.fill('a');
+  pair.client.write(big);
+  pair.client.write(new Buffer('hello'));
+};
+
+module.exports.testIncomingEmpty = function(test) {
+  test.expect(1);
+
+  var pair = Session.createPair({ serverOptions: { streamMessages: true } });
+
+  pair.server.on('messageStream', function(body) {
+    body.resume();
+    body.on('end', function() {
+      test.equal(body.length, 0);
+      pair.client.end();
+      test.done();
+    });
+  });
+
+  pair.client.write(new Buffer(0));
+};
+
+module.exports.testIncomingBackpressure = function(test) {
+  test.expect(3);
+
+  var pair = Session.createPair({ serverOptions: { streamMessages: true } });
+
+  var count = 0;
+  pair.server.on('messageStream', function(body) {
+    count += 1;
+    if (count > 1) {
+      test.equal(pair.server.stats().messagesReceived, 2);
+      body.resume();
+      body.on('end', function() {
+        pair.client.end();
+        test.done();
+      });
+      return;
+    }
+
+    // Nothing is read from the first body, so the session must not move on
+    // to the second message.
+    setTimeout(function() {
+      test.equal(count, 1);
+      var length = 0;
+      body.on('data', function(chunk) {
+        length += chunk.length;
+      });
+      body.on('end', function() {
+        test.equal(length, 100000);
+      });
+    }, 20);
+  });
+
+  pair.client.write(new Buffer(100000));
+  pair.client.write(new Buffer(10));
+};
+
+module.exports.testIncomingTruncated = function(test) {
+  test.expect(2);
+
+  var pair = Session.createPair({
+    dropAfter: 72 + 4 + 4 + 10,
+    serverOptions: { streamMessages: true }
+  });
+
+  pair.server.on('messageStream', function(body) {
+    body.resume();
+    body.on('error', function(error) {
+      test.equal(error.code, 'ECONNRESET');
+      test.equal(body.length, 20);
+      test.done();
+    });
+  });
+
+  pair.client.write(new Buffer(20));
+};
+
+module.exports.testOutgoing = function(test) {
+  test.expect(4);
+
+  var pair = Session.createPair();
+  var expected = ['first', 'hello world', 'last'];
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), expected.shift());
+    if (expected.length < 1) {
+      test.equal(pair.client.stats().bytesSent, 20);
+      pair.client.end();
+      test.done();
+    }
+  });
+
+  pair.client.write(new Buffer('first'));
+
+  // The message after the stream must wait until it is complete
+  var body = pair.client.createMessageStream(11);
+  pair.client.write(new Buffer('last'));
+
+  body.write(new Buffer('hello'));
+  setTimeout(function() {
+    body.end(new Buffer(' world'));
+  }, 10);
+};
+
+module.exports.testOutgoingShort = function(test) {
+  test.expect(4);
+
+  var pair = Session.createPair();
+
+  // The error is passed to the write callback and emitted.  The session
+  // cannot send anything after a broken message, so it closes.
+  var pending = 3;
+  var done = function() {
+    pending -= 1;
+    if (pending === 0) {
+      test.done();
+    }
+  };
+
+  pair.client.on('error', function(error) {
+    test.ok(error instanceof Session.SessionError);
+    done();
+  });
+
+  pair.client.on('close', function(hadError) {
+    test.equal(hadError, true);
+    test.ok(pair.client.destroyed);
+    done();
+  });
+
+  pair.client.createMessageStream(10, function(error) {
+    test.ok(/bytes short/.test(error.message));
+    done();
+  }).end(new Buffer('abc'));
+};
+
+module.exports.testOutgoingTooLong = function(test) {
+  test.expect(3);
+
+  var pair = Session.createPair();
+
+  pair.client.on('error', function(error) {});
+
+  pair.client.on('close', function(hadError) {
+    test.equal(hadError, true);
+    test.done();
+  });
+
+  var body = pair.client.createMessageStream(2, function(error) {
+    test.ok(error instanceof Session.MessageTooLongError);
+  });
+
+  body.on('error', function(error) {
+    test.equal(error.code, 'EMSGSIZE');
+  });
+
+  body.write(new Buffer('abc'));
+};
+
+module.exports.testStreamToStream = function(test) {
+  test.expect(1);
+
+  // Pipe a received message body straight into an outgoing message
+  var pair = Session.createPair({ serverOptions: { streamMessages: true } });
+
+  pair.server.on('messageStream', function(body) {
+    body.pipe(pair.server.createMessageStream(body.length));
+  });
+
+  pair.client.on('data', function(msg) {
+    test.equal(msg.length, 50000);
+    pair.client.end();
+    test.done();
+  });
+
+  pair.client.write(new Buffer(50000));
+};
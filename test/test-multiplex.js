@@ -0,0 +1,284 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+var Session = require('../session');
+
+var MUX = { clientOptions: { multiplex: true },
+            serverOptions: { multiplex: true } };
+
+module.exports.testEcho = function(test) {
+  test.expect(6);
+
+  Session.createPair(MUX, function(error, client, server) {
+    test.equal(error, null);
+
+    server.on('channel', function(channel) {
+      test.equal(channel.id, 1);
+      channel.pipe(channel);
+    });
+
+    var channel = client.openChannel();
+    test.equal(channel.id, 1);
+
+    var received = [];
+    channel.on('data', function(chunk) {
+      received.push(chunk);
+    });
+    channel.on('end', function() {
+      test.equal(Buffer.concat(received).toString(), 'hello world');
+    });
+    channel.on('close', function(hadError) {
+      test.equal(hadError, false);
+      test.equal(client.stats().channels, 0);
+      test.done();
+    });
+
+    channel.write(new Buffer('hello '));
+    channel.end(new Buffer('world'));
+  });
+};
+
+module.exports.testBothSidesOpen = function(test) {
+  test.expect(4);
+
+  Session.createPair(MUX, function(error, client, server) {
+    var ids = [];
+    var done = 0;
+    var onChannel = function(channel) {
+      ids.push(channel.id);
+      channel.on('data', function(chunk) {
+        channel.end(Buffer.concat([chunk, new Buffer('!')]));
+      });
+    };
+    client.on('channel', onChannel);
+    server.on('channel', onChannel);
+
+    var check = function(channel, expected) {
+      var received = '';
+      channel.on('data', function(chunk) {
+        received += chunk.toString();
+      });
+      channel.on('end', function() {
+        test.equal(received, expected);
+        done += 1;
+        if (done === 3) {
+          test.deepEqual(ids.sort(), [1, 2, 3]);
+          test.done();
+        }
+      });
+    };
+
+    var a = client.openChannel();
+    var b = server.openChannel();
+    var c = client.openChannel();
+    check(a, 'a!');
+    check(b, 'b!');
+    check(c, 'c!');
+    a.end(new Buffer('a'));
+    b.end(new Buffer('b'));
+    c.end(new Buffer('c'));
+  });
+};
+
+module.exports.testFlowControl = function(test) {
+  test.expect(4);
+
+  var opts = { clientOptions: { multiplex: { window: 1000 } },
+               serverOptions: { multiplex: { window: 1000 } } };
+
+  var data = new Buffer(20000);
+  for (var i = 0; i < data.length; ++i) {
+    data[i] = i & 0xff;
+  }
+
+  Session.createPair(opts, function(error, client, server) {
+    server.on('channel', function(remote) {
+      // Nothing is read at first, so the sender must stop at the window
+      setTimeout(function() {
+        test.ok(remote._readableState.length <= 1000,
+                'buffered [' + remote._readableState.length + ']');
+        test.equal(local._sendWindow, 0);
+
+        var received = [];
+        remote.on('data', function(chunk) {
+          received.push(chunk);
+        });
+        remote.on('end', function() {
+          test.deepEqual(Buffer.concat(received), data);
+          remote.end();
+        });
+      }, 50);
+    });
+
+    var local = client.openChannel();
+    local.on('close', function(hadError) {
+      test.equal(hadError, false);
+      test.done();
+    });
+    local.resume();
+    local.end(data);
+  });
+};
+
+module.exports.testFrameSize = function(test) {
+  test.expect(2);
+
+  var opts = { clientOptions: { multiplex: true, maxMessageLength: 105 },
+               serverOptions: { multiplex: true } };
+
+  var data = new Buffer(1000);
+  data.fill(7);
+
+  Session.createPair(opts, function(error, client, server) {
+    server.on('channel', function(remote) {
+      var received = [];
+      remote.on('data', function(chunk) {
+        received.push(chunk);
+      });
+      remote.on('end', function() {
+        test.deepEqual(Buffer.concat(received), data);
+
+        // The OPEN frame, ten DATA frames of 100 bytes and the CLOSE
+        test.equal(client.stats().messagesSent, 12);
+        test.done();
+      });
+    });
+
+    client.openChannel().end(data);
+  });
+};
+
+module.exports.testRefused = function(test) {
+  test.expect(3);
+
+  Session.createPair(MUX, function(error, client, server) {
+    var channel = client.openChannel();
+    channel.on('open', function() {
+      test.ok(false);
+    });
+    channel.on('error', function(error) {
+      test.equal(error.code, 'ECONNREFUSED');
+      test.equal(channel.opened, false);
+    });
+    channel.on('close', function(hadError) {
+      test.equal(hadError, true);
+      test.done();
+    });
+  });
+};
+
+module.exports.testMaxChannels = function(test) {
+  test.expect(2);
+
+  var opts = { clientOptions: { multiplex: true },
+               serverOptions: { multiplex: { maxChannels: 1 } } };
+
+  Session.createPair(opts, function(error, client, server) {
+    server.on('channel', function() {});
+
+    client.openChannel().on('open', function() {
+      test.ok(true);
+    });
+    client.openChannel().on('error', function(error) {
+      test.equal(error.code, 'ECONNREFUSED');
+      test.done();
+    });
+  });
+};
+
+module.exports.testReset = function(test) {
+  test.expect(3);
+
+  Session.createPair(MUX, function(error, client, server) {
+    server.on('channel', function(remote) {
+      remote.once('data', function() {
+        remote.destroy();
+      });
+    });
+
+    var channel = client.openChannel();
+    channel.on('open', function() {
+      test.ok(channel.opened);
+    });
+    channel.on('error', function(error) {
+      test.equal(error.code, 'ECONNRESET');
+    });
+    channel.on('close', function(hadError) {
+      test.equal(hadError, true);
+      test.done();
+    });
+    channel.write(new Buffer('hello'));
+  });
+};
+
+module.exports.testSessionClose = function(test) {
+  test.expect(4);
+
+  test.throws(function() {
+    new Session().openChannel();
+  });
+
+  Session.createPair(MUX, function(error, client, server) {
+    server.on('channel', function(remote) {
+      remote.on('error', function() {});
+      server.destroy();
+    });
+
+    var channel = client.openChannel();
+    channel.on('error', function(error) {
+      test.equal(error.code, 'ECONNRESET');
+    });
+    channel.on('close', function() {
+      // Channels opened after the session ends fail right away
+      client.openChannel().on('error', function(error) {
+        test.equal(error.code, 'ESTATE');
+        client.end();
+      });
+    });
+    client.on('close', function() {
+      test.equal(client.stats().channels, 0);
+      setTimeout(test.done.bind(test), 10);
+    });
+  });
+};
+
+module.exports.testMalformed = function(test) {
+  test.expect(2);
+
+  var opts = { serverOptions: { multiplex: true } };
+
+  Session.createPair(opts, function(error, client, server) {
+    server.on('error', function(error) {
+      test.equal(error.code, 'EMALFORMED');
+    });
+    server.on('close', function(hadError) {
+      test.equal(hadError, true);
+      test.done();
+    });
+    client.on('data', function() {});
+    client.on('error', function() {});
+    client.write(new Buffer([9, 0, 0, 0, 1]));
+  });
+};
@@ -0,0 +1,162 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+
+var NBName = require('netbios-name');
+
+module.exports.testAccept = function(test) {
+  test.expect(4);
+
+  var pair = Session.createPair(function(error, client, server) {
+    test.equal(error, null);
+    test.equal(client, pair.client);
+    test.equal(server.mode, 'established');
+    test.equal(server.callTo.name, 'SERVER');
+    client.end();
+    test.done();
+  });
+};
+
+module.exports.testReject = function(test) {
+  test.expect(2);
+
+  var onRequest = function(error, request) {
+    test.equal(request.callFrom.name, 'SRC');
+    request.reject('Called name not present');
+  };
+
+  Session.createPair({
+    callFrom: new NBName({name: 'SRC', suffix: 0x20}),
+    onRequest: onRequest
+  }, function(error, client, server) {
+    test.equal(error.reason, 'Called name not present');
+    test.done();
+  });
+};
+
+module.exports.testMessages = function(test) {
+  test.expect(4);
+
+  var pair = Session.createPair();
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), 'ping');
+    pair.server.write(new Buffer('pong'));
+  });
+
+  pair.client.on('data', function(msg) {
+    test.equal(msg.toString(), 'pong');
+    pair.client.end();
+  });
+
+  pair.server.on('end', function() {
+    test.ok(true);
+    pair.server.end();
+  });
+
+  pair.client.on('end', function() {
+    test.ok(true);
+    test.done();
+  });
+
+  pair.client.write(new Buffer('ping'));
+};
+
+module.exports.testDirect = function(test) {
+  test.expect(2);
+
+  var pair = Session.createPair({direct: true});
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), 'hello');
+    test.equal(pair.server.callTo, null);
+    test.done();
+  });
+
+  pair.client.write(new Buffer('hello'));
+};
+
+module.exports.testFragment = function(test) {
+  test.expect(3);
+
+  // Every byte arrives separately, including the headers
+  var pair = Session.createPair({fragment: 1});
+  var expected = ['one', 'two', 'three'];
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), expected.shift());
+    if (expected.length < 1) {
+      test.done();
+    }
+  });
+
+  pair.client.write(new Buffer('one'));
+  pair.client.write(new Buffer('two'));
+  pair.client.write(new Buffer('three'));
+};
+
+module.exports.testLatency = function(test) {
+  test.expect(2);
+
+  var start = Date.now();
+  Session.createPair({latency: 20}, function(error, client, server) {
+    test.equal(error, null);
+
+    // The request and response each cross the link
+    test.ok(Date.now() - start >= 35);
+    test.done();
+  });
+};
+
+module.exports.testDropDuringHandshake = function(test) {
+  test.expect(1);
+
+  // Drop the link part way through the session request
+  Session.createPair({dropAfter: 10}, function(error, client, server) {
+    test.equal(error.code, 'ECONNRESET');
+    test.done();
+  });
+};
+
+module.exports.testDropMidFrame = function(test) {
+  test.expect(1);
+
+  // The request is 72 bytes and the positive response is 4 bytes.  Drop the
+  // link after the first few bytes of a message.
+  var pair = Session.createPair({dropAfter: 72 + 4 + 6});
+
+  pair.server.on('data', function(msg) {
+    test.ok(false);
+  });
+
+  pair.server.on('end', function() {
+    test.ok(true);
+    test.done();
+  });
+
+  pair.client.write(new Buffer('hello world'));
+};
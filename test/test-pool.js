@@ -0,0 +1,220 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+var SessionPool = require('../pool');
+
+var NBName = require('netbios-name');
+var net = require('net');
+
+module.exports.testReuse = function(test) {
+  test.expect(5);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool();
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+      pool.release(first);
+
+      pool.acquire(target, function(error, second) {
+        test.equal(error, null);
+        test.equal(second, first);
+        test.equal(server.accepted, 1);
+        test.deepEqual(pool.stats(), {idle: 0, active: 1, connecting: 0,
+                                      waiting: 0});
+        pool.release(second);
+        pool.close();
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testMaxSize = function(test) {
+  test.expect(6);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool({maxSize: 1});
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+
+      // The second caller must wait until the first session is released
+      var released = false;
+      pool.acquire(target, function(error, second) {
+        test.equal(error, null);
+        test.ok(released);
+        test.equal(second, first);
+        pool.release(second);
+        pool.close();
+        server.close();
+        test.done();
+      });
+
+      test.equal(pool.stats().waiting, 1);
+      test.equal(pool.stats().active, 1);
+
+      setTimeout(function() {
+        released = true;
+        pool.release(first);
+      }, 100);
+    });
+  });
+};
+
+module.exports.testAcquireTimeout = function(test) {
+  test.expect(3);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool({maxSize: 1, acquireTimeout: 50});
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+      pool.acquire(target, function(error, second) {
+        test.ok(error instanceof Session.SessionTimeoutError);
+        test.equal(error.phase, 'acquire');
+        pool.release(first);
+        pool.close();
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testIdleTimeout = function(test) {
+  test.expect(4);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool({idleTimeout: 50});
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+      pool.release(first);
+      test.equal(pool.stats().idle, 1);
+
+      setTimeout(function() {
+        test.equal(pool.stats().idle, 0);
+        pool.acquire(target, function(error, second) {
+          test.notEqual(second, first);
+          pool.release(second);
+          pool.close();
+          server.close();
+          test.done();
+        });
+      }, 150);
+    });
+  });
+};
+
+module.exports.testEvictClosed = function(test) {
+  test.expect(3);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool();
+
+    pool.on('evict', function(session) {
+      test.equal(pool.stats().idle, 0);
+      pool.close();
+      server.close();
+      test.done();
+    });
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+      pool.release(first);
+      test.equal(pool.stats().idle, 1);
+
+      // Server side hangs up while the session is idle in the pool
+      server.sessions[0].end();
+    });
+  });
+};
+
+module.exports.testReleaseEnded = function(test) {
+  test.expect(4);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool();
+
+    pool.acquire(target, function(error, first) {
+      test.equal(error, null);
+
+      // A session the caller already ended can not be handed out again
+      first.end();
+      pool.release(first);
+
+      pool.acquire(target, function(error, second) {
+        test.equal(error, null);
+        test.notEqual(second, first);
+        test.equal(server.accepted, 2);
+        pool.release(second);
+        pool.close();
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testConnectError = function(test) {
+  test.expect(1);
+
+  _startServer(function(server, target) {
+    var pool = new SessionPool();
+    target.callTo = new NBName({name: 'UNKNOWN', suffix: 0x20});
+
+    pool.acquire(target, function(error, session) {
+      test.equal(error.rfcCode, Session.SessionRejectedError.NOT_LISTENING_ON_CALLED_NAME);
+      pool.close();
+      server.close();
+      test.done();
+    });
+  });
+};
+
+function _startServer(callback) {
+  var server = Session.createServer();
+  server.addName('DST');
+  server.accepted = 0;
+  server.sessions = [];
+
+  server.on('session', function(session) {
+    server.accepted += 1;
+    server.sessions.push(session);
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    callback(server, {
+      host: '127.0.0.1',
+      port: server.address().port,
+      callTo: new NBName({name: 'DST', suffix: 0x20}),
+      callFrom: new NBName({name: 'SRC', suffix: 0x20})
+    });
+  });
+}
@@ -0,0 +1,343 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+
+var NBName = require('netbios-name');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+module.exports.testSessionToDirect = function(test) {
+  test.expect(8);
+
+  var upstream = Session.createServer({direct: true}, function(session) {
+    session.pipe(session);
+  });
+
+  _start(upstream, {}, {direct: true}, function(proxy) {
+    proxy.on('connection', function(conn) {
+      test.equal(conn.callTo.name, 'DST');
+      test.equal(proxy.connections.length, 1);
+    });
+
+    proxy.on('connectionEnd', function(conn) {
+      test.equal(conn.messagesIn, 1);
+      test.equal(conn.bytesIn, 5);
+      test.equal(conn.messagesOut, 1);
+      test.equal(conn.bytesOut, 5);
+      test.equal(proxy.connections.length, 0);
+      proxy.close();
+      upstream.close();
+      test.done();
+    });
+
+    _connect(proxy, {}, function(error, session) {
+      test.equal(error, null);
+      session.on('data', function(msg) {
+        session.end();
+      });
+      session.write(new Buffer('hello'));
+    });
+  });
+};
+
+module.exports.testDirectToSession = function(test) {
+  test.expect(4);
+
+  var upstream = Session.createServer(function(session, request) {
+    test.equal(request.callTo.name, 'UPSTREAM');
+    test.equal(request.callFrom.name, 'PROXY');
+    session.pipe(session);
+  });
+
+  var names = {
+    callTo: new NBName({name: 'UPSTREAM', suffix: 0x20}),
+    callFrom: new NBName({name: 'PROXY', suffix: 0x00})
+  };
+
+  _start(upstream, {direct: true}, names, function(proxy) {
+    proxy.on('connectionEnd', function(conn) {
+      test.equal(conn.messagesOut, 1);
+      proxy.close();
+      upstream.close();
+      test.done();
+    });
+
+    _connect(proxy, {direct: true}, function(error, session) {
+      session.on('data', function(msg) {
+        test.equal(msg.toString(), 'hello');
+        session.end();
+      });
+      session.write(new Buffer('hello'));
+    });
+  });
+};
+
+module.exports.testClientHangsUpFirst = function(test) {
+  test.expect(1);
+
+  // The upstream only ends once the client has already hung up
+  var upstream = Session.createServer({direct: true}, function(session) {
+    session.resume();
+    session.on('end', function() {
+      session.end();
+    });
+  });
+
+  _start(upstream, {}, {direct: true}, function(proxy) {
+    proxy.on('connectionError', function(error) {
+      test.ok(false, error.message);
+    });
+
+    proxy.on('connectionEnd', function(conn) {
+      test.equal(conn.messagesIn, 1);
+      proxy.close();
+      upstream.close();
+      test.done();
+    });
+
+    _connect(proxy, {}, function(error, session) {
+      session.resume();
+      session.end(new Buffer('hello'));
+    });
+  });
+};
+
+module.exports.testRouteByName = function(test) {
+  test.expect(2);
+
+  var other = Session.createServer(function(session, request) {
+    test.ok(false);
+  });
+
+  var upstream = Session.createServer(function(session, request) {
+    test.equal(request.callTo.name, 'DST');
+    session.resume();
+  });
+
+  // The default upstream is never started, so only the route can succeed.
+  var proxy = Session.createProxy({upstream: {host: '127.0.0.1', port: 1}});
+
+  other.listen(0, '127.0.0.1', function() {
+    proxy.addRoute('OTHER', {host: '127.0.0.1', port: other.address().port});
+    upstream.listen(0, '127.0.0.1', function() {
+      proxy.addRoute({name: 'DST', suffix: 0x20},
+                     {host: '127.0.0.1', port: upstream.address().port});
+      proxy.listen(0, '127.0.0.1', function() {
+        _connect(proxy, {}, function(error, session) {
+          test.equal(error, null);
+          session.end();
+          session.resume();
+          proxy.on('connectionEnd', function() {
+            proxy.close();
+            upstream.close();
+            other.close();
+            test.done();
+          });
+        });
+      });
+    });
+  });
+};
+
+module.exports.testNegativeResponse = function(test) {
+  test.expect(3);
+
+  var upstream = Session.createServer();
+  upstream.addName('OTHER');
+
+  _start(upstream, {}, {}, function(proxy) {
+    proxy.on('connectionError', function(error, conn) {
+      test.equal(error.code, 'ESESSIONREJECTED');
+    });
+
+    _connect(proxy, {}, function(error, session) {
+      test.equal(error.code, 'ESESSIONREJECTED');
+      test.equal(error.reason, 'Not listening on called name');
+      proxy.close();
+      upstream.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testUpstreamDown = function(test) {
+  test.expect(2);
+
+  var proxy = Session.createProxy({upstream: {host: '127.0.0.1', port: 1}});
+
+  proxy.on('connectionError', function(error, conn) {
+    test.ok(error);
+  });
+
+  proxy.listen(0, '127.0.0.1', function() {
+    _connect(proxy, {}, function(error, session) {
+      test.equal(error.reason, 'Unspecified error');
+      proxy.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testDirectUpstreamDown = function(test) {
+  test.expect(3);
+
+  var proxy = Session.createProxy({
+    direct: true,
+    upstream: {host: '127.0.0.1', port: 1, direct: true}
+  });
+
+  var errors = [];
+  proxy.on('connectionError', function(error, conn) {
+    errors.push(error.code);
+  });
+
+  // The message sent before the upstream is connected is lost with it
+  proxy.listen(0, '127.0.0.1', function() {
+    _connect(proxy, {direct: true}, function(error, session) {
+      test.equal(error, null);
+      session.on('close', function() {
+        test.deepEqual(errors, ['ECONNREFUSED']);
+        test.equal(proxy.connections.length, 0);
+        proxy.close();
+        test.done();
+      });
+      session.resume();
+      session.write(new Buffer('hello'));
+    });
+  });
+};
+
+module.exports.testClientGoneBeforeUpstream = function(test) {
+  test.expect(3);
+
+  // Upstream that accepts the connection but never answers the request
+  var upstream = require('net').createServer(function(socket) {
+    socket.on('close', function() {
+      test.ok(true);
+      proxy.close();
+      upstream.close();
+      test.done();
+    });
+    socket.resume();
+  });
+
+  var proxy = null;
+  upstream.listen(0, '127.0.0.1', function() {
+    proxy = Session.createProxy({
+      upstream: {host: '127.0.0.1', port: upstream.address().port}
+    });
+
+    proxy.on('connectionError', function(error, conn) {
+      test.equal(error.code, 'ECONNRESET');
+    });
+
+    // The client gives up and hangs up while the upstream is connecting
+    proxy.listen(0, '127.0.0.1', function() {
+      _connect(proxy, {handshakeTimeout: 100}, function(error, session) {
+        test.equal(error.code, 'ETIMEDOUT');
+      });
+    });
+  });
+};
+
+module.exports.testNoRoute = function(test) {
+  test.expect(1);
+
+  var proxy = Session.createProxy();
+
+  proxy.listen(0, '127.0.0.1', function() {
+    _connect(proxy, {}, function(error, session) {
+      test.equal(error.reason, 'Not listening on called name');
+      proxy.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testLmhostsRoute = function(test) {
+  test.expect(3);
+
+  var upstream = Session.createServer(function(session, request) {
+    test.equal(request.callTo.name, 'DST');
+    session.resume();
+  });
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lmhosts-'));
+  var file = path.join(dir, 'lmhosts');
+  fs.writeFileSync(file, '127.0.0.1  DST  #PRE\n');
+
+  Session.lmhosts.createTable(file, function(error, table) {
+    test.equal(error, null);
+
+    upstream.listen(0, '127.0.0.1', function() {
+      var proxy = Session.createProxy({
+        lmhosts: table,
+        lmhostsPort: upstream.address().port
+      });
+
+      proxy.listen(0, '127.0.0.1', function() {
+        _connect(proxy, {}, function(error, session) {
+          test.equal(error, null);
+          session.end();
+          session.resume();
+          proxy.on('connectionEnd', function() {
+            proxy.close();
+            upstream.close();
+            fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+            test.done();
+          });
+        });
+      });
+    });
+  });
+};
+
+// Start the upstream server and then a proxy forwarding to it
+function _start(upstream, proxyOpts, upstreamOpts, callback) {
+  upstream.listen(0, '127.0.0.1', function() {
+    upstreamOpts.host = '127.0.0.1';
+    upstreamOpts.port = upstream.address().port;
+    proxyOpts.upstream = upstreamOpts;
+
+    var proxy = Session.createProxy(proxyOpts);
+    proxy.listen(0, '127.0.0.1', function() {
+      callback(proxy);
+    });
+  });
+}
+
+function _connect(proxy, opts, callback) {
+  var session = new Session(opts);
+  session.connect(proxy.address().port, '127.0.0.1',
+                  new NBName({name: 'SRC', suffix: 0x20}),
+                  new NBName({name: 'DST', suffix: 0x20}),
+                  function(error) {
+    callback(error, session);
+  });
+}
@@ -0,0 +1,281 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+'use strict';
+
+var resolver = require('../resolver');
+
+var dgram = require('dgram');
+var NBName = require('netbios-name');
+
+module.exports.testStatic = function(test) {
+  var resolve = resolver.createStaticResolver({
+    'FILESRV': '10.0.0.1',
+    'PRINTER.corp.example.com': ['10.0.0.2', '10.0.0.3']
+  });
+
+  var a = new NBName({name: 'filesrv', suffix: 0x20});
+  var b = new NBName({name: 'PRINTER', suffix: 0x20,
+                      scopeId: 'corp.example.com'});
+  var c = new NBName({name: 'PRINTER', suffix: 0x20});
+
+  test.throws(function() {
+    resolver.createStaticResolver({ 'BAD': 'not-an-address' });
+  });
+
+  resolve(a, function(error, addresses) {
+    test.equal(error, null);
+    test.deepEqual(addresses, ['10.0.0.1']);
+    resolve(b, function(error, addresses) {
+      test.deepEqual(addresses, ['10.0.0.2', '10.0.0.3']);
+      resolve(c, function(error, addresses) {
+        test.equal(error, null);
+        test.deepEqual(addresses, []);
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testStaticArray = function(test) {
+  var resolve = resolver.createStaticResolver([
+    { name: { name: 'HOST', suffix: 0x20 }, address: '10.0.0.4' },
+    { name: 'HOST', addresses: ['10.0.0.5'] }
+  ]);
+
+  var a = new NBName({name: 'HOST', suffix: 0x20});
+  var b = new NBName({name: 'HOST', suffix: 0x00});
+
+  resolve(a, function(error, addresses) {
+    test.deepEqual(addresses, ['10.0.0.4']);
+    resolve(b, function(error, addresses) {
+      test.deepEqual(addresses, ['10.0.0.5']);
+      test.done();
+    });
+  });
+};
+
+module.exports.testDns = function(test) {
+  var hosts = [];
+  var resolve = resolver.createDnsResolver({
+    lookup: function(host, opts, callback) {
+      hosts.push(host);
+      if (host === 'missing') {
+        var error = new Error('not found');
+        error.code = 'ENOTFOUND';
+        callback(error);
+        return;
+      }
+      callback(null, '10.0.0.6', 4);
+    }
+  });
+
+  var a = new NBName({name: 'FILESRV', suffix: 0x20,
+                      scopeId: 'corp.example.com'});
+  var b = new NBName({name: 'missing', suffix: 0x20});
+
+  resolve(a, function(error, addresses) {
+    test.equal(error, null);
+    test.deepEqual(addresses, ['10.0.0.6']);
+    resolve(b, function(error, addresses) {
+      test.equal(error, null);
+      test.deepEqual(addresses, []);
+      test.deepEqual(hosts, ['FILESRV.corp.example.com', 'missing']);
+      test.done();
+    });
+  });
+};
+
+module.exports.testChain = function(test) {
+  var failing = function(nbname, callback) {
+    callback(new Error('unreachable'));
+  };
+  var empty = resolver.createStaticResolver({});
+  var found = resolver.createStaticResolver({ 'HOST': '10.0.0.7' });
+
+  var name = new NBName({name: 'HOST', suffix: 0x20});
+
+  resolver.createChainResolver([failing, empty, found])(name,
+                                                         function(error,
+                                                                  addresses) {
+    test.equal(error, null);
+    test.deepEqual(addresses, ['10.0.0.7']);
+
+    resolver.createChainResolver([empty, failing])(name,
+                                                   function(error, addresses) {
+      test.equal(error.message, 'unreachable');
+      test.deepEqual(addresses, []);
+      test.done();
+    });
+  });
+};
+
+module.exports.testCached = function(test) {
+  var calls = 0;
+  var slow = function(nbname, callback) {
+    calls += 1;
+    setTimeout(callback.bind(null, null, ['10.0.0.8']), 10);
+  };
+
+  var resolve = resolver.createCachedResolver(slow, { ttl: 50 });
+  var name = new NBName({name: 'HOST', suffix: 0x20});
+
+  var count = 0;
+  var check = function(error, addresses) {
+    test.deepEqual(addresses, ['10.0.0.8']);
+    count += 1;
+    if (count < 2) {
+      return;
+    }
+
+    // Both overlapping lookups shared a request and the result is cached
+    test.equal(calls, 1);
+    resolve(name, function(error, addresses) {
+      test.equal(calls, 1);
+
+      // Once the ttl passes, the name is looked up again
+      setTimeout(function() {
+        resolve(name, function(error, addresses) {
+          test.equal(calls, 2);
+          resolve.clear();
+          resolve(name, function(error, addresses) {
+            test.equal(calls, 3);
+            test.done();
+          });
+        });
+      }, 60);
+    });
+  };
+
+  resolve(name, check);
+  resolve(name, check);
+};
+
+module.exports.testNbns = function(test) {
+  var server = dgram.createSocket('udp4');
+  var queries = [];
+
+  // Answer queries for HOST and return a negative response for others
+  server.on('message', function(msg, rinfo) {
+    var name = NBName.fromBuffer(msg, 12);
+    queries.push(name.toString());
+
+    var found = name.name === 'HOST';
+    var res = new Buffer(512);
+    msg.copy(res, 0, 0, 2);
+    res.writeUInt16BE(found ? 0x8500 : 0x8503, 2);
+    res.writeUInt16BE(0, 4);
+    res.writeUInt16BE(found ? 1 : 0, 6);
+    res.writeUInt16BE(0, 8);
+    res.writeUInt16BE(0, 10);
+
+    var offset = 12 + name.write(res, 12).bytesWritten;
+    res.writeUInt16BE(0x0020, offset);            // NB
+    res.writeUInt16BE(0x0001, offset + 2);        // IN
+    res.writeUInt32BE(300, offset + 4);           // TTL
+    res.writeUInt16BE(12, offset + 8);            // RDLENGTH
+    res.writeUInt16BE(0, offset + 10);
+    new Buffer([10, 0, 0, 9]).copy(res, offset + 12);
+    res.writeUInt16BE(0, offset + 16);
+    new Buffer([10, 0, 0, 10]).copy(res, offset + 18);
+
+    var length = found ? offset + 22 : 12;
+    server.send(res, 0, length, rinfo.port, rinfo.address);
+  });
+
+  server.bind(0, '127.0.0.1', function() {
+    var resolve = resolver.createNbnsResolver({
+      server: '127.0.0.1',
+      port: server.address().port
+    });
+
+    var a = new NBName({name: 'HOST', suffix: 0x20});
+    var b = new NBName({name: 'OTHER', suffix: 0x20});
+
+    resolve(a, function(error, addresses) {
+      test.equal(error, null);
+      test.deepEqual(addresses, ['10.0.0.9', '10.0.0.10']);
+      resolve(b, function(error, addresses) {
+        test.equal(error, null);
+        test.deepEqual(addresses, []);
+        test.deepEqual(queries, ['HOST<20>', 'OTHER<20>']);
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testNbnsTruncated = function(test) {
+  var server = dgram.createSocket('udp4');
+
+  // Claim an answer, but send only the header
+  server.on('message', function(msg, rinfo) {
+    var res = new Buffer(12);
+    msg.copy(res, 0, 0, 2);
+    res.writeUInt16BE(0x8500, 2);
+    res.writeUInt16BE(0, 4);
+    res.writeUInt16BE(1, 6);
+    res.writeUInt16BE(0, 8);
+    res.writeUInt16BE(0, 10);
+    server.send(res, 0, res.length, rinfo.port, rinfo.address);
+  });
+
+  server.bind(0, '127.0.0.1', function() {
+    var resolve = resolver.createNbnsResolver({
+      server: '127.0.0.1',
+      port: server.address().port
+    });
+
+    resolve(new NBName({name: 'HOST', suffix: 0x20}), function(error) {
+      test.equal(error.code, 'EMALFORMED');
+      test.equal(error.packetType, 'name query response');
+      server.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testNbnsTimeout = function(test) {
+  var server = dgram.createSocket('udp4');
+  var count = 0;
+  server.on('message', function() {
+    count += 1;
+  });
+
+  server.bind(0, '127.0.0.1', function() {
+    var resolve = resolver.createNbnsResolver({
+      server: '127.0.0.1',
+      port: server.address().port,
+      timeout: 20,
+      retries: 1
+    });
+
+    resolve(new NBName({name: 'HOST', suffix: 0x20}), function(error) {
+      test.equal(error.code, 'ETIMEDOUT');
+      test.equal(count, 2);
+      server.close();
+      test.done();
+    });
+  });
+};
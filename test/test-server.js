@@ -0,0 +1,239 @@
+// Copyright (c) 2013, Benjamin J. Kelly ("Author")
+// All rights reserved.
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions are met:
+//
+// 1. Redistributions of source code must retain the above copyright notice, this
+//    list of conditions and the following disclaimer.
+// 2. Redistributions in binary form must reproduce the above copyright notice,
+//    this list of conditions and the following disclaimer in the documentation
+//    and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+// ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+// WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+// DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+// ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+// (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+// LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+// ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+// SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+
+
+'use strict';
+
+var Session = require('../session');
+
+var NBName = require('netbios-name');
+var net = require('net');
+
+module.exports.testAcceptAll = function(test) {
+  test.expect(4);
+
+  var server = Session.createServer(function(session, request) {
+    test.equal(request.callTo.name, 'ANY');
+    test.equal(server.connections.length, 1);
+    test.equal(server.connections[0], session);
+  });
+
+  _connect(server, {name: 'ANY', suffix: 0x20}, function(error, session) {
+    test.equal(error, null);
+    session.end();
+    server.close();
+    test.done();
+  });
+};
+
+module.exports.testRouteByName = function(test) {
+  test.expect(3);
+
+  var server = Session.createServer();
+
+  server.addName('OTHER', function(session, request) {
+    test.ok(false);
+  });
+
+  server.addName({name: 'DST', suffix: 0x20}, function(session, request) {
+    test.equal(request.callTo.name, 'DST');
+  });
+
+  server.on('session', function(session, request) {
+    test.equal(request.callTo.suffix, 0x20);
+  });
+
+  _connect(server, {name: 'DST', suffix: 0x20}, function(error, session) {
+    test.equal(error, null);
+    session.end();
+    server.close();
+    test.done();
+  });
+};
+
+module.exports.testNotListeningOnCalledName = function(test) {
+  test.expect(1);
+
+  var server = Session.createServer();
+  server.addName({name: 'DST', suffix: 0x20});
+
+  // Suffix does not match the registered name
+  _connect(server, {name: 'DST', suffix: 0x00}, function(error, session) {
+    test.equal(error.message, 'Connection failed with response code ' +
+                              '[Not listening on called name]');
+    server.close();
+    test.done();
+  });
+};
+
+module.exports.testNotListeningForCallingName = function(test) {
+  test.expect(2);
+
+  var server = Session.createServer();
+  server.addName('DST', {callFrom: ['FRIEND']});
+
+  _connect(server, {name: 'DST', suffix: 0x20}, function(error, session) {
+    test.equal(error.message, 'Connection failed with response code ' +
+                              '[Not listening for calling name]');
+
+    _connect(server, {name: 'DST', suffix: 0x20}, 'FRIEND', function(error, session) {
+      test.equal(error, null);
+      session.end();
+      server.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testScope = function(test) {
+  test.expect(2);
+
+  var server = Session.createServer();
+  server.addName('DST.example.com');
+
+  _connect(server, {name: 'DST', scopeId: 'other.com'}, function(error, session) {
+    test.equal(error.message, 'Connection failed with response code ' +
+                              '[Not listening on called name]');
+
+    _connect(server, {name: 'DST', scopeId: 'example.com'}, function(error, session) {
+      test.equal(error, null);
+      session.end();
+      server.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testAccessPolicy = function(test) {
+  test.expect(5);
+
+  var server = Session.createServer({
+    access: { deny: { address: '127.0.0.0/8' } }
+  }, function(session, request) {
+    test.ok(false);
+  });
+
+  server.on('access', function(info, session) {
+    test.equal(info.action, 'reject');
+    test.equal(info.rule, 'address');
+    test.equal(info.remoteAddress, '127.0.0.1');
+    test.ok(session instanceof Session);
+  });
+
+  _connect(server, {name: 'DST', suffix: 0x20}, function(error, session) {
+    test.equal(error.rfcCode, 0x8f);
+    server.close();
+    test.done();
+  });
+};
+
+module.exports.testMaxSessions = function(test) {
+  test.expect(4);
+
+  var server = Session.createServer({ limits: { maxSessions: 1 } });
+
+  // The first connection counts even though it never sends a request, so
+  // the request of the second is refused.
+  server.on('limit', function(limit, session, request) {
+    test.equal(limit, 'maxSessions');
+    test.equal(request.callTo.name, 'DST');
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var idle = net.createConnection(server.address().port, '127.0.0.1');
+    idle.on('connect', function() {
+      _connect(server, {name: 'DST', suffix: 0x20}, function(error) {
+        test.equal(error.rfcCode, 0x83);
+        test.equal(server.connections.length, 1);
+        idle.destroy();
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testHandshakeTimeoutDefault = function(test) {
+  test.expect(2);
+
+  var server = Session.createServer();
+  var custom = Session.createServer({ handshakeTimeout: 0 });
+
+  test.equal(server._sessionOpts.handshakeTimeout, 30000);
+  test.equal(custom._sessionOpts.handshakeTimeout, 0);
+  test.done();
+};
+
+module.exports.testMaxSessionsPerName = function(test) {
+  test.expect(3);
+
+  var server = Session.createServer({ limits: { maxSessionsPerName: 1 } });
+  var sessions = [];
+
+  var done = function() {
+    sessions.forEach(function(session) {
+      session.end();
+    });
+    server.close();
+    test.done();
+  };
+
+  _connect(server, {name: 'ONE', suffix: 0x20}, function(error, session) {
+    test.equal(error, null);
+    sessions.push(session);
+
+    _connect(server, {name: 'TWO', suffix: 0x20}, function(error, session) {
+      test.equal(error, null);
+      sessions.push(session);
+
+      _connect(server, {name: 'one', suffix: 0x20}, function(error) {
+        test.equal(error.rfcCode, 0x83);
+        done();
+      });
+    });
+  });
+};
+
+function _connect(server, callTo, srcName, callback) {
+  if (typeof srcName === 'function') {
+    callback = srcName;
+    srcName = 'SRC';
+  }
+
+  var callFrom = new NBName({name: srcName, suffix: 0x20});
+
+  var connect = function() {
+    var session = new Session();
+    session.connect(server.address().port, '127.0.0.1', callFrom,
+                    new NBName(callTo), function(error) {
+      callback(error, session);
+    });
+  };
+
+  if (server.address()) {
+    connect();
+    return;
+  }
+
+  server.listen(0, '127.0.0.1', connect);
+}
@@ -61,7 +61,7 @@ module.exports.testAccept = function(test) {
 };
 
 module.exports.testRejectMessage = function(test) {
-  test.expect(2);
+  test.expect(8);
 
   var errorString = 'Not listening on called name';
 
@@ -72,6 +72,12 @@ module.exports.testRejectMessage = function(test) {
 
   var srcCallback = function(error, session) {
     test.equal(error.message, 'Connection failed with response code [' + errorString + ']');
+    test.ok(error instanceof Session.SessionRejectedError);
+    test.equal(error.rfcCode, Session.SessionRejectedError.NOT_LISTENING_ON_CALLED_NAME);
+    test.equal(error.reason, errorString);
+    test.equal(error.callTo.name, 'DST');
+    test.equal(error.callFrom.name, 'SRC');
+    test.equal(error.remoteAddress, '127.0.0.1');
     test.done();
   };
 
@@ -364,38 +370,1623 @@ module.exports.testResume = function(test) {
   });
 };
 
-function _testRead(readable, len, callback) {
-  var testBuf = readable.read(len);
-  if (!testBuf) {
-    readable.once('readable', _testRead.bind(null, readable, len, callback));
-    return;
-  }
-  callback(testBuf);
-}
+module.exports.testRetarget = function(test) {
+  test.expect(5);
 
-function _doConnection(opts) {
-  var server = net.createServer();
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
 
-  var callTo = new NBName({name: opts.dstName, suffix: 0x20});
-  var callFrom = new NBName({name: opts.srcName, suffix: 0x20});
+  var backend = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      test.equal(error, null);
+      request.accept();
+    });
+  });
 
-  server.on('connection', function(socket) {
+  var frontend = net.createServer(function(socket) {
     var recv = new Session();
-    recv.attach(socket, opts.attachCallback);
+    recv.attach(socket, function(error, request) {
+      test.equal(error, null);
+      request.retarget('127.0.0.1', backend.address().port);
+    });
+  });
 
-    if (typeof opts.dstCallback === 'function') {
-      opts.dstCallback(null, recv, server);
-    }
+  backend.listen(0, '127.0.0.1', function() {
+    frontend.listen(0, '127.0.0.1', function() {
+      var send = new Session();
+
+      send.on('retarget', function(host, port) {
+        test.equal(host, '127.0.0.1');
+        test.equal(port, backend.address().port);
+      });
+
+      send.connect(frontend.address().port, '127.0.0.1', callFrom, callTo,
+                   function(error) {
+        test.equal(error, null);
+        send.end();
+        frontend.close();
+        backend.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testAttachCallbackOnce = function(test) {
+  test.expect(3);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // The socket fails while the request is pending.  The error is emitted
+  // rather than passed to the attach callback a second time.
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.on('error', function(error) {
+      test.equal(error.message, 'reset');
+    });
+    recv.on('close', function(hadError) {
+      test.equal(hadError, true);
+      server.close();
+      test.done();
+    });
+    recv.attach(socket, function(error, request) {
+      test.equal(error, null);
+      socket.destroy(new Error('reset'));
+    });
   });
 
   server.listen(0, '127.0.0.1', function() {
-    var port = server.address().port;
+    var send = new Session();
+    send.on('error', function() {});
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function() {});
+  });
+};
+
+module.exports.testDecideAfterReset = function(test) {
+  test.expect(6);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // The client's connection is lost while the request is still pending
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.on('error', function(error) {
+      test.equal(error.message, 'reset');
+    });
+    recv.attach(socket, function(error, request) {
+      test.equal(error, null);
+      socket.destroy(new Error('reset'));
+
+      setTimeout(function() {
+        ['accept', 'reject', 'retarget'].forEach(function(action) {
+          var result = request[action]('127.0.0.1', 139);
+          test.equal(result.code, 'ESTATE');
+        });
+        test.equal(recv.mode, null);
+        server.close();
+        test.done();
+      }, 20);
+    });
+  });
 
+  server.listen(0, '127.0.0.1', function() {
     var send = new Session();
-    send.connect(port, '127.0.0.1', callFrom, callTo, function(error) {
-      if (typeof opts.srcCallback === 'function') {
-        opts.srcCallback(error, send);
+    send.on('error', function() {});
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function() {});
+  });
+};
+
+module.exports.testRetargetLimit = function(test) {
+  test.expect(4);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // Server that always sends the client back to itself
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      request.retarget('127.0.0.1', server.address().port);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session({maxRetargets: 2});
+
+    var retargets = 0;
+    send.on('retarget', function() {
+      retargets += 1;
+      test.ok(retargets <= 2);
+    });
+
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.equal(error.message, 'Connection retargeted more than [2] ' +
+                                'times.  Connection failed.');
+      test.equal(retargets, 2);
+      server.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testRetargetBadPort = function(test) {
+  test.expect(6);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var ports = [70000, 0, 1.5];
+
+  // Each bad port is returned and the client is rejected instead.  Nothing
+  // is emitted, so the session needs no 'error' listener.
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      var result = request.retarget('127.0.0.1', ports[0]);
+      test.ok(/must be an integer from 1 to 65535/.test(result.message));
+    });
+  });
+
+  var next = function() {
+    var send = new Session();
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.equal(error.reason, 'Unspecified error');
+      ports.shift();
+      if (ports.length > 0) {
+        next();
+        return;
       }
+      server.close();
+      test.done();
+    });
+  };
+
+  server.listen(0, '127.0.0.1', next);
+};
+
+module.exports.testRetargetBadHost = function(test) {
+  test.expect(2);
+
+  // Neither session has an 'error' listener, so an emitted error would throw
+  Session.createPair({
+    onRequest: function(error, request) {
+      var result = request.retarget('backend.example');
+      test.ok(/must be an IPv4 address/.test(result.message));
+    }
+  }, function(error, client, server) {
+    test.equal(error.reason, 'Unspecified error');
+    test.done();
+  });
+};
+
+module.exports.testKeepAlive = function(test) {
+  test.expect(3);
+
+  var attachCallback = function(error, request) {
+    test.equal(error, null);
+    request.accept();
+  };
+
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+  };
+
+  var dstCallback = function(error, session, server) {
+    var timedOut = false;
+    session.on('timeout', function() {
+      timedOut = true;
     });
+
+    // The idle timeout would fire several times over without keep alives
+    setTimeout(function() {
+      test.ok(!timedOut);
+      server.close();
+      session.end();
+      test.done();
+    }, 500);
+  };
+
+  _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { keepAliveInterval: 20 },
+    dstOptions: { idleTimeout: 100 },
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
   });
-}
+};
+
+module.exports.testStats = function(test) {
+  test.expect(15);
+
+  var attachCallback = function(error, request) {
+    request.accept();
+  };
+
+  var send = null;
+
+  var srcCallback = function(error, session) {
+    send.write(new Buffer('hello'));
+    send.write(new Buffer('ab'));
+
+    // A positive response is not expected once established, so it is
+    // counted as ignored.
+    var res = Session.codec.encode({ type: 'positive response' });
+    send._sessionState.socket.write(res.buffer);
+  };
+
+  var dstCallback = function(error, session, server) {
+    session.resume();
+
+    setTimeout(function() {
+      var stats = session.stats();
+      test.equal(stats.mode, 'established');
+      test.equal(stats.paused, false);
+      test.equal(stats.messagesReceived, 2);
+      test.equal(stats.bytesReceived, 7);
+      test.ok(stats.keepAlivesReceived > 0);
+      test.equal(stats.ignoredPackets, 1);
+      test.equal(typeof stats.handshakeTime, 'number');
+
+      test.equal(session.mode, 'established');
+      test.equal(session.callTo.name, 'DST');
+      test.equal(session.callFrom.name, 'SRC');
+      test.equal(session.remoteAddress, '127.0.0.1');
+
+      stats = send.stats();
+      test.equal(stats.messagesSent, 2);
+      test.equal(stats.bytesSent, 7);
+      test.ok(stats.keepAlivesSent > 0);
+      test.equal(stats.messagesReceived, 0);
+
+      server.close();
+      send.end();
+      test.done();
+    }, 100);
+  };
+
+  send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { keepAliveInterval: 20 },
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+};
+
+module.exports.testIdleTimeout = function(test) {
+  test.expect(4);
+
+  var attachCallback = function(error, request) {
+    test.equal(error, null);
+    request.accept();
+  };
+
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+    session.resume();
+    session.on('end', function() {
+      test.ok(true);
+      test.done();
+    });
+  };
+
+  var dstCallback = function(error, session, server) {
+    session.on('timeout', function() {
+      test.ok(true);
+    });
+
+    server.close();
+  };
+
+  _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    dstOptions: { idleTimeout: 100, endOnTimeout: true },
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+};
+
+module.exports.testReadMessages = function(test) {
+  test.expect(7);
+
+  var attachCallback = function(error, request) {
+    test.equal(error, null);
+    request.accept();
+  };
+
+  // Write before the session is established to verify messages are held
+  // until the negotiation completes.
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+    session.end();
+  };
+
+  var dstCallback = function(error, session, server) {
+    server.close();
+
+    // Each read() should return exactly one message
+    _testRead(session, null, function(msg) {
+      test.equal(msg.toString(), 'first');
+      _testRead(session, null, function(msg) {
+        test.equal(msg.toString(), 'second');
+        session.on('end', function() {
+          test.ok(true);
+          test.done();
+        });
+        session.resume();
+      });
+    });
+  };
+
+  var send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+
+  send.write(new Buffer('first'), function(error) {
+    test.equal(error, null);
+  });
+  send.write(new Buffer('second'), function(error) {
+    test.equal(error, null);
+  });
+};
+
+module.exports.testPipe = function(test) {
+  test.expect(4);
+
+  var attachCallback = function(error, request) {
+    test.equal(error, null);
+    request.accept();
+  };
+
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+
+    session.on('message', function(msg) {
+      test.equal(msg.toString(), 'echo');
+      session.end();
+    });
+
+    session.on('end', function() {
+      test.ok(true);
+      test.done();
+    });
+
+    session.write(new Buffer('echo'));
+  };
+
+  // Echo messages back to the sender
+  var dstCallback = function(error, session, server) {
+    server.close();
+    session.pipe(session);
+  };
+
+  _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+};
+
+module.exports.testHandshakeTimeout = function(test) {
+  test.expect(4);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // Server that never answers the session request
+  var server = net.createServer(function(socket) {
+    socket.on('end', function() {
+      test.ok(true);
+      server.close();
+      test.done();
+    });
+    socket.resume();
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session({handshakeTimeout: 100});
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.ok(error instanceof Session.SessionTimeoutError);
+      test.equal(error.code, 'ETIMEDOUT');
+      test.equal(error.phase, 'handshake');
+    });
+  });
+};
+
+module.exports.testRequestTimeout = function(test) {
+  test.expect(3);
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session({handshakeTimeout: 100});
+    recv.attach(socket, function(error, request) {
+      test.ok(error instanceof Session.SessionTimeoutError);
+      test.equal(error.phase, 'handshake');
+    });
+  });
+
+  // Client that connects but never sends a session request
+  server.listen(0, '127.0.0.1', function() {
+    var socket = net.createConnection(server.address().port, '127.0.0.1');
+    socket.on('end', function() {
+      test.ok(true);
+      server.close();
+      test.done();
+    });
+    socket.resume();
+  });
+};
+
+module.exports.testConnectError = function(test) {
+  test.expect(1);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // Find a port that is not listening
+  var server = net.createServer();
+  server.listen(0, '127.0.0.1', function() {
+    var port = server.address().port;
+    server.close(function() {
+      var send = new Session();
+      send.connect(port, '127.0.0.1', callFrom, callTo, function(error) {
+        test.equal(error.code, 'ECONNREFUSED');
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testCloseOnReject = function(test) {
+  test.expect(3);
+
+  var closed = 0;
+  var onClose = function() {
+    closed += 1;
+    if (closed === 2) {
+      test.done();
+    }
+  };
+
+  var attachCallback = function(error, request) {
+    request.reject();
+  };
+
+  var srcCallback = function(error, session) {
+    test.ok(error instanceof Session.SessionRejectedError);
+    session.on('close', function(hadError) {
+      test.equal(hadError, true);
+      onClose();
+    });
+  };
+
+  var dstCallback = function(error, session, server) {
+    session.on('close', function(hadError) {
+      test.equal(hadError, false);
+      onClose();
+    });
+    server.close();
+  };
+
+  _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+};
+
+module.exports.testCloseOnRetarget = function(test) {
+  test.expect(4);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // Each retargeting session closes, as does the client once it gives up
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.on('close', function(hadError) {
+      test.equal(hadError, false);
+    });
+    recv.attach(socket, function(error, request) {
+      request.retarget('127.0.0.1', server.address().port);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session({maxRetargets: 1});
+    send.on('close', function(hadError) {
+      test.equal(hadError, true);
+      server.close();
+      setTimeout(test.done.bind(test), 20);
+    });
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.equal(error.code, 'ERETARGETLIMIT');
+    });
+  });
+};
+
+module.exports.testCloseOnHandshakeTimeout = function(test) {
+  test.expect(2);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var closed = 0;
+  var onClose = function(hadError) {
+    test.equal(hadError, true);
+    closed += 1;
+    if (closed === 2) {
+      silent.close();
+      server.close();
+      test.done();
+    }
+  };
+
+  // Server that never answers the session request
+  var silent = net.createServer(function(socket) {
+    socket.resume();
+  });
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session({handshakeTimeout: 100});
+    recv.on('close', onClose);
+    recv.attach(socket, function() {});
+  });
+
+  silent.listen(0, '127.0.0.1', function() {
+    var send = new Session({handshakeTimeout: 100});
+    send.on('close', onClose);
+    send.connect(silent.address().port, '127.0.0.1', callFrom, callTo,
+                 function() {});
+  });
+
+  // Client that connects but never sends a session request
+  server.listen(0, '127.0.0.1', function() {
+    var socket = net.createConnection(server.address().port, '127.0.0.1');
+    socket.resume();
+  });
+};
+
+module.exports.testCloseOnConnectError = function(test) {
+  test.expect(2);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer();
+  server.listen(0, '127.0.0.1', function() {
+    var port = server.address().port;
+    server.close(function() {
+      var send = new Session();
+      send.on('close', function(hadError) {
+        test.equal(hadError, true);
+        test.done();
+      });
+      send.connect(port, '127.0.0.1', callFrom, callTo, function(error) {
+        test.equal(error.code, 'ECONNREFUSED');
+      });
+    });
+  });
+};
+
+module.exports.testCloseUnused = function(test) {
+  test.expect(1);
+
+  // Nothing reads the session, so it must not wait for 'end'
+  var session = new Session();
+  session.on('close', function(hadError) {
+    test.equal(hadError, false);
+    test.done();
+  });
+  session.end();
+};
+
+module.exports.testCloseWithoutReading = function(test) {
+  test.expect(4);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // The server hangs up while the client is not reading
+  var server = net.createServer(function(socket) {
+    var recv = new Session({autoAccept: true});
+    recv.attach(socket);
+    recv.on('connect', function() {
+      recv.end();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.on('close', function(hadError) {
+      test.equal(hadError, false);
+      test.equal(send.mode, null);
+      test.ok(send.destroyed);
+      server.close();
+      test.done();
+    });
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.ok(!error);
+    });
+  });
+};
+
+module.exports.testCloseAfterReadingClosedSocket = function(test) {
+  test.expect(3);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session({autoAccept: true});
+    var closed = false;
+    var count = 0;
+    recv.on('close', function(hadError) {
+      closed = true;
+      test.equal(count, 3);
+      test.equal(hadError, false);
+      server.close();
+      test.done();
+    });
+    recv.on('connect', function() {
+      // Lose the socket while its messages are still unread
+      setTimeout(function() {
+        socket.destroy();
+        setTimeout(function() {
+          test.ok(!closed);
+          recv.on('data', function() {
+            count += 1;
+          });
+        }, 50);
+      }, 50);
+    });
+    recv.attach(socket);
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.on('error', function() {});
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      send.write(new Buffer('one'));
+      send.write(new Buffer('two'));
+      send.write(new Buffer('three'));
+    });
+  });
+};
+
+module.exports.testConnectStream = function(test) {
+  test.expect(3);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      test.equal(request.callTo.name, 'DST');
+      test.equal(request.callFrom.name, 'SRC');
+      request.accept();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var socket = net.connect(server.address().port, '127.0.0.1', function() {
+      var send = new Session();
+      send.connectStream(socket, callTo, callFrom, function(error) {
+        test.equal(error, null);
+        send.end();
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testConnectStreamRetarget = function(test) {
+  test.expect(1);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      request.retarget('127.0.0.1', 1);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var socket = net.connect(server.address().port, '127.0.0.1', function() {
+      var send = new Session();
+      send.connectStream(socket, callTo, callFrom, function(error) {
+        test.equal(error.code, 'ERETARGET');
+        server.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testConnectTransport = function(test) {
+  test.expect(5);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var backend = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      request.accept();
+    });
+  });
+
+  var frontend = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      request.retarget('127.0.0.1', backend.address().port);
+    });
+  });
+
+  // The transport is used again to follow the retarget
+  var ports = [];
+  var transport = function(port, host) {
+    test.equal(host, '127.0.0.1');
+    ports.push(port);
+    return net.connect(port, host);
+  };
+
+  backend.listen(0, '127.0.0.1', function() {
+    frontend.listen(0, '127.0.0.1', function() {
+      var send = new Session();
+      send.connect({
+        port: frontend.address().port,
+        host: '127.0.0.1',
+        callTo: callTo,
+        callFrom: callFrom,
+        transport: transport
+      }, function(error) {
+        test.equal(error, null);
+        test.deepEqual(ports, [frontend.address().port,
+                               backend.address().port]);
+        test.equal(send.callTo.name, 'DST');
+        send.end();
+        frontend.close();
+        backend.close();
+        test.done();
+      });
+    });
+  });
+};
+
+module.exports.testConnectPath = function(test) {
+  test.expect(2);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+  var path = require('path').join(require('os').tmpdir(),
+                                  'netbios-session-' + process.pid + '.sock');
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      test.equal(request.callTo.name, 'DST');
+      request.accept();
+    });
+  });
+
+  server.listen(path, function() {
+    var send = new Session();
+    send.connect({path: path, callTo: callTo, callFrom: callFrom},
+                 function(error) {
+      test.equal(error, null);
+      send.end();
+      server.close();
+      test.done();
+    });
+  });
+};
+
+module.exports.testMessageTooLong = function(test) {
+  test.expect(6);
+
+  var attachCallback = function(error, request) {
+    test.equal(error, null);
+    request.accept();
+  };
+
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+
+    // The error is passed to the write callback and emitted
+    var pending = 2;
+    var done = function() {
+      pending -= 1;
+      if (pending === 0) {
+        test.done();
+      }
+    };
+
+    session.on('error', function(error) {
+      test.ok(error instanceof Session.MessageTooLongError);
+      done();
+    });
+
+    var msg = new Buffer(Session.MAX_MESSAGE_LENGTH + 1);
+    session.write(msg, function(error) {
+      test.ok(error instanceof Session.SessionError);
+      test.equal(error.code, 'EMSGSIZE');
+      test.equal(error.length, Session.MAX_MESSAGE_LENGTH + 1);
+      done();
+    });
+  };
+
+  var dstCallback = function(error, session, server) {
+    server.close();
+  };
+
+  _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+};
+
+module.exports.testWriteAfterMessageTooLong = function(test) {
+  test.expect(3);
+
+  var pair = Session.createPair();
+  pair.client.on('error', function(error) {
+    test.ok(error instanceof Session.MessageTooLongError);
+  });
+
+  pair.client.write(new Buffer(Session.MAX_MESSAGE_LENGTH + 1),
+                    function(error) {
+    test.ok(error instanceof Session.MessageTooLongError);
+  });
+
+  // The session is still usable in both directions
+  pair.client.write(new Buffer('hello'));
+  pair.server.on('data', function(msg) {
+    pair.server.write(msg);
+  });
+  pair.client.on('data', function(msg) {
+    test.equal(msg.toString(), 'hello');
+    pair.client.end();
+    pair.server.end();
+    test.done();
+  });
+};
+
+module.exports.testMaxMessageLength = function(test) {
+  test.expect(4);
+
+  var pending = 2;
+  var done = function() {
+    pending -= 1;
+    if (pending === 0) {
+      test.done();
+    }
+  };
+
+  // Too long to send
+  var sender = Session.createPair({ clientOptions: { maxMessageLength: 8 } });
+  sender.client.on('error', function() {});
+  sender.client.write(new Buffer('123456789'), function(error) {
+    test.ok(error instanceof Session.MessageTooLongError);
+    test.equal(error.maxLength, 8);
+    done();
+  });
+
+  // Short enough to send, but too long for the server to receive
+  var receiver = Session.createPair({ serverOptions: { maxMessageLength: 4 } });
+  receiver.server.on('error', function(error) {
+    test.ok(error instanceof Session.MessageTooLongError);
+    test.equal(error.length, 6);
+    done();
+  });
+  receiver.server.on('data', function() {
+    test.ok(false);
+  });
+  receiver.client.write(new Buffer('123456'));
+};
+
+module.exports.testSmb2Direct = function(test) {
+  test.expect(3);
+
+  var opts = { lengthFormat: 'smb2-direct' };
+  var pair = Session.createPair({direct: true, clientOptions: opts,
+                                 serverOptions: opts});
+
+  // Larger than the rfc1002 format allows
+  var length = Session.MAX_MESSAGE_LENGTH + 1000;
+  var msg = new Buffer(length);
+  msg.fill(0x5a);
+
+  pair.server.on('data', function(data) {
+    test.equal(data.length, length);
+    test.equal(data[length - 1], 0x5a);
+    test.done();
+  });
+
+  pair.client.write(msg, function(error) {
+    test.ok(!error);
+  });
+};
+
+module.exports.testLengthFormatOptions = function(test) {
+  test.throws(function() {
+    new Session({ lengthFormat: 'bogus' });
+  });
+  test.throws(function() {
+    new Session({ lengthFormat: 'smb2-direct' });
+  });
+  test.throws(function() {
+    new Session({ maxMessageLength: Session.MAX_MESSAGE_LENGTH + 1 });
+  });
+  test.doesNotThrow(function() {
+    new Session({ direct: true, lengthFormat: 'smb2-direct',
+                  maxMessageLength: Session.MAX_MESSAGE_LENGTH + 1 });
+  });
+  test.done();
+};
+
+module.exports.testWritev = function(test) {
+  test.expect(5);
+
+  var expected = ['one', 'two', 'three'];
+
+  var pair = Session.createPair();
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), expected.shift());
+    if (expected.length < 1) {
+      test.done();
+    }
+  });
+
+  var ret = pair.client.writev([new Buffer('one'), new Buffer('two'),
+                                new Buffer('three')], function(error) {
+    test.ok(!error);
+  });
+  test.equal(typeof ret, 'boolean');
+};
+
+module.exports.testScatterGather = function(test) {
+  test.expect(3);
+
+  var pair = Session.createPair();
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), 'hello world');
+    test.equal(pair.client.stats().messagesSent, 1);
+    test.equal(pair.client.stats().bytesSent, 11);
+    test.done();
+  });
+
+  pair.client.write([new Buffer('hello'), new Buffer(' '),
+                     new Buffer('world')]);
+};
+
+module.exports.testWritevCork = function(test) {
+  if (typeof require('stream').Writable.prototype.cork !== 'function') {
+    test.done();
+    return;
+  }
+
+  test.expect(3);
+
+  // All of the frames should reach the socket in a single batch
+  var socket = new BatchSocket();
+  var session = new Session({direct: true});
+  session.connectStream(socket, null, null, function(error) {
+    session.writev([new Buffer('a'), [new Buffer('b'), new Buffer('c')]],
+                   function(error) {
+      test.equal(socket.batches.length, 1);
+      test.equal(socket.batches[0].length, 5);
+      test.equal(Buffer.concat(socket.batches[0]).toString('hex'),
+                 '00000001' + '61' + '00000002' + '62' + '63');
+      test.done();
+    });
+  });
+};
+
+module.exports.testEndFlush = function(test) {
+  test.expect(6);
+
+  // Written before the session is negotiated, so these are still pending
+  // when end() is called.
+  var pair = Session.createPair();
+  var expected = ['one', 'two', 'three'];
+  var closed = 0;
+
+  var checkClosed = function(hadError) {
+    test.equal(hadError, false);
+    closed += 1;
+    if (closed === 2) {
+      test.done();
+    }
+  };
+
+  pair.client.on('close', checkClosed);
+  pair.server.on('close', checkClosed);
+
+  pair.server.on('data', function(msg) {
+    test.equal(msg.toString(), expected.shift());
+  });
+
+  pair.server.on('end', function() {
+    pair.server.end();
+  });
+
+  pair.client.on('data', function() {});
+
+  pair.client.write(new Buffer('one'));
+  pair.client.write([new Buffer('tw'), new Buffer('o')]);
+  pair.client.end(new Buffer('three'), function() {
+    test.ok(true);
+  });
+};
+
+module.exports.testDestroy = function(test) {
+  test.expect(4);
+
+  var pair = Session.createPair();
+  var closed = 0;
+
+  pair.client.on('connect', function() {
+    pair.client.on('close', function(hadError) {
+      test.equal(hadError, false);
+      closed += 1;
+
+      pair.client.on('error', function() {});
+      pair.client.write(new Buffer('late'), function(error) {
+        test.ok(error);
+      });
+    });
+
+    pair.server.on('data', function() {});
+    pair.server.on('end', function() {
+      test.ok(true);
+
+      // Destroying again does not emit another 'close'
+      pair.client.destroy();
+      setTimeout(function() {
+        test.equal(closed, 1);
+        test.done();
+      }, 10);
+    });
+
+    pair.client.destroy();
+  });
+};
+
+module.exports.testDestroyError = function(test) {
+  test.expect(3);
+
+  var pair = Session.createPair();
+  var events = [];
+
+  pair.client.on('error', function(error) {
+    test.equal(error.message, 'boom');
+    events.push('error');
+  });
+
+  pair.client.on('close', function(hadError) {
+    test.equal(hadError, true);
+    events.push('close');
+    test.deepEqual(events, ['error', 'close']);
+    test.done();
+  });
+
+  pair.client.on('connect', function() {
+    pair.client.destroy(new Error('boom'));
+  });
+};
+
+module.exports.testDestroyConnecting = function(test) {
+  test.expect(4);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var accepted = 0;
+  var server = net.createServer(function(socket) {
+    accepted += 1;
+    socket.resume();
+  });
+
+  // Destroy the session before its socket has connected
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.on('connect', function() {
+      test.ok(false);
+    });
+    send.on('close', function(hadError) {
+      test.equal(hadError, false);
+    });
+    send.connect(server.address().port, '127.0.0.1', callFrom, callTo,
+                 function(error) {
+      test.equal(error.code, 'ESTATE');
+    });
+    send.destroy();
+
+    setTimeout(function() {
+      test.equal(send.mode, null);
+      test.ok(accepted <= 1);
+      server.close();
+      test.done();
+    }, 50);
+  });
+};
+
+module.exports.testDestroyResolving = function(test) {
+  if (typeof Promise !== 'function') {
+    test.done();
+    return;
+  }
+
+  test.expect(2);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  // The resolver never answers
+  var send = new Session({ resolver: function() {} });
+  send.connectAsync({ callTo: callTo, callFrom: callFrom })
+      .then(function() {
+    test.ok(false);
+  }, function(error) {
+    test.equal(error.code, 'ESTATE');
+    test.equal(send.mode, null);
+    test.done();
+  });
+  send.destroy();
+};
+
+module.exports.testAsync = function(test) {
+  if (typeof Promise !== 'function') {
+    test.done();
+    return;
+  }
+
+  test.expect(5);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attachAsync(socket).then(function(request) {
+      test.equal(request.callTo.name, 'DST');
+      request.accept();
+
+      // Read each message with the async iterator until the session ends
+      var it = recv[Symbol.asyncIterator]();
+      var msgs = [];
+      var next = function() {
+        it.next().then(function(res) {
+          if (res.done) {
+            test.deepEqual(msgs, ['one', 'two']);
+            server.close();
+            test.done();
+            return;
+          }
+          msgs.push(res.value.toString());
+          next();
+        });
+      };
+      next();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.connectAsync(server.address().port, '127.0.0.1', callFrom, callTo)
+      .then(function(session) {
+        test.equal(session, send);
+        return send.writeAsync(new Buffer('one'));
+      })
+      .then(function(result) {
+        test.equal(result, undefined);
+        return send.writeAsync(new Buffer('two'));
+      })
+      .then(function() {
+        test.ok(true);
+        send.end();
+      });
+  });
+};
+
+module.exports.testConnectAsyncReject = function(test) {
+  if (typeof Promise !== 'function') {
+    test.done();
+    return;
+  }
+
+  test.expect(1);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attachAsync(socket).then(function(request) {
+      request.reject('Called name not present');
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    var send = new Session();
+    send.connectAsync(server.address().port, '127.0.0.1', callFrom, callTo)
+      .catch(function(error) {
+        test.equal(error.rfcCode, Session.SessionRejectedError.CALLED_NAME_NOT_PRESENT);
+        server.close();
+        test.done();
+      });
+  });
+};
+
+function _testRead(readable, len, callback) {
+  var testBuf = readable.read(len);
+  if (!testBuf) {
+    readable.once('readable', _testRead.bind(null, readable, len, callback));
+    return;
+  }
+  callback(testBuf);
+}
+
+module.exports.testReconnect = function(test) {
+  test.expect(8);
+
+  var connections = 0;
+  var events = [];
+
+  var attachCallback = function(error, request) {
+    request.accept();
+  };
+
+  var dstCallback = function(error, session, server) {
+    connections += 1;
+
+    // Simulate a server restart by dropping the first connection
+    if (connections === 1) {
+      session.on('connect', function() {
+        session.destroy();
+      });
+      return;
+    }
+
+    session.on('data', function(msg) {
+      test.equal(msg.toString(), 'queued');
+      test.deepEqual(events, ['reconnecting', 'connect', 'reconnected']);
+      test.equal(send.stats().reconnects, 1);
+      send.end();
+      session.end();
+      server.close();
+      test.done();
+    });
+  };
+
+  var srcCallback = function(error, session) {
+    test.equal(error, null);
+  };
+
+  var send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { reconnect: { minDelay: 10, jitter: 0 } },
+    attachCallback: attachCallback,
+    srcCallback: srcCallback,
+    dstCallback: dstCallback
+  });
+
+  send.on('reconnecting', function(attempt, delay) {
+    events.push('reconnecting');
+    test.equal(attempt, 1);
+    test.equal(delay, 10);
+    test.equal(send.mode, 'reconnecting');
+
+    // Held until the session is back
+    send.write(new Buffer('queued'));
+  });
+
+  send.on('connect', function() {
+    if (events.length > 0) {
+      events.push('connect');
+    }
+  });
+
+  send.on('reconnected', function(attempts) {
+    events.push('reconnected');
+    test.equal(attempts, 1);
+  });
+};
+
+module.exports.testReconnectGiveUp = function(test) {
+  test.expect(6);
+
+  var delays = [];
+
+  var attachCallback = function(error, request) {
+    request.accept();
+  };
+
+  // Close the server so that every reconnect attempt is refused
+  var dstCallback = function(error, session, server) {
+    session.on('connect', function() {
+      server.close();
+      session.destroy();
+    });
+  };
+
+  var send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { reconnect: { retries: 2, minDelay: 5, factor: 3,
+                               jitter: 0 } },
+    attachCallback: attachCallback,
+    dstCallback: dstCallback
+  });
+
+  send.on('reconnecting', function(attempt, delay, error) {
+    delays.push(delay);
+  });
+
+  send.on('error', function(error) {
+    test.equal(error.code, 'ERECONNECT');
+    test.equal(error.lastError.code, 'ECONNREFUSED');
+    test.deepEqual(delays, [5, 15]);
+  });
+
+  send.on('close', function(hadError) {
+    test.equal(hadError, true);
+    test.equal(send.destroyed, true);
+    test.equal(send.mode, null);
+    test.done();
+  });
+};
+
+module.exports.testReconnectNoQueue = function(test) {
+  test.expect(2);
+
+  var attachCallback = function(error, request) {
+    request.accept();
+  };
+
+  var dstCallback = function(error, session, server) {
+    session.on('connect', function() {
+      server.close();
+      session.destroy();
+    });
+  };
+
+  var send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { reconnect: { retries: 1, minDelay: 5, queue: false } },
+    attachCallback: attachCallback,
+    dstCallback: dstCallback
+  });
+
+  send.once('reconnecting', function() {
+    send.write(new Buffer('rejected'), function(error) {
+      test.ok(error instanceof Session.SessionStateError);
+    });
+  });
+
+  send.on('error', function() {});
+
+  send.on('close', function(hadError) {
+    test.equal(hadError, true);
+    test.done();
+  });
+};
+
+module.exports.testReconnectNoQueueWriteAfter = function(test) {
+  test.expect(3);
+
+  var connections = 0;
+
+  var attachCallback = function(error, request) {
+    request.accept();
+  };
+
+  var dstCallback = function(error, session, server) {
+    connections += 1;
+
+    if (connections === 1) {
+      session.on('connect', function() {
+        session.destroy();
+      });
+      return;
+    }
+
+    session.on('data', function(msg) {
+      test.equal(msg.toString(), 'after');
+      send.end();
+      session.end();
+      server.close();
+      test.done();
+    });
+  };
+
+  var send = _doConnection({
+    srcName: 'SRC',
+    dstName: 'DST',
+    srcOptions: { reconnect: { minDelay: 10, jitter: 0, queue: false } },
+    attachCallback: attachCallback,
+    dstCallback: dstCallback
+  });
+
+  send.on('error', function(error) {
+    test.ok(error instanceof Session.SessionStateError);
+  });
+
+  send.once('reconnecting', function() {
+    send.write(new Buffer('rejected'), function(error) {
+      test.ok(error instanceof Session.SessionStateError);
+    });
+  });
+
+  // The refused write does not stop later ones
+  send.on('reconnected', function() {
+    send.write(new Buffer('after'));
+  });
+};
+
+module.exports.testConnectByName = function(test) {
+  test.expect(6);
+
+  var callTo = new NBName({name: 'DST', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var attempts = [];
+  var server = net.createServer(function(socket) {
+    var recv = new Session();
+    recv.attach(socket, function(error, request) {
+      attempts.push(socket.localAddress);
+      if (attempts.length === 1) {
+        request.reject('Not listening on called name');
+        return;
+      }
+      request.accept();
+      recv.on('data', function(msg) {
+        test.equal(msg.toString(), 'hello');
+        recv.end();
+      });
+    });
+  });
+
+  // The first address refuses the connection and the second rejects the
+  // session request, so only the third is used.
+  server.listen(0, '127.0.0.1', function() {
+    var resolver = Session.resolver.createStaticResolver({
+      'DST': ['127.0.0.2', '127.0.0.1', '127.0.0.1']
+    });
+
+    var send = new Session({resolver: resolver});
+    send.write(new Buffer('hello'));
+    send.on('data', function() {});
+    send.on('close', function() {
+      server.close();
+      test.done();
+    });
+
+    send.connect({ port: server.address().port, callTo: callTo,
+                   callFrom: callFrom }, function(error) {
+      test.equal(error, undefined);
+      test.equal(send.mode, 'established');
+      test.equal(send.remoteAddress, '127.0.0.1');
+      test.equal(attempts.length, 2);
+      test.equal(attempts[1], '127.0.0.1');
+      send.end();
+    });
+  });
+};
+
+module.exports.testConnectByNameNotFound = function(test) {
+  test.expect(6);
+
+  var callTo = new NBName({name: 'NOWHERE', suffix: 0x20});
+  var callFrom = new NBName({name: 'SRC', suffix: 0x20});
+
+  var send = new Session();
+  send.on('close', function(hadError) {
+    test.ok(hadError);
+  });
+  send.connect({ callTo: callTo, callFrom: callFrom,
+                 resolver: Session.resolver.createStaticResolver({}) },
+               function(error) {
+    test.equal(error.code, 'ENOTFOUND');
+    test.equal(error.callTo, callTo);
+    test.equal(send.mode, null);
+    test.ok(send.destroyed);
+
+    // The failure ends the session
+    send.connect({ callTo: callTo, callFrom: callFrom,
+                   resolver: function(nbname, callback) {
+                     callback(new Error('unreachable'));
+                   } },
+                 function(error) {
+      test.equal(error.code, 'ESTATE');
+      test.done();
+    });
+  });
+};
+
+function _doConnection(opts) {
+  var server = net.createServer();
+
+  var callTo = new NBName({name: opts.dstName, suffix: 0x20});
+  var callFrom = new NBName({name: opts.srcName, suffix: 0x20});
+
+  server.on('connection', function(socket) {
+    var recv = new Session(opts.dstOptions);
+    recv.attach(socket, opts.attachCallback);
+
+    if (typeof opts.dstCallback === 'function') {
+      opts.dstCallback(null, recv, server);
+    }
+  });
+
+  var send = new Session(opts.srcOptions);
+
+  server.listen(0, '127.0.0.1', function() {
+    var port = server.address().port;
+
+    send.connect(port, '127.0.0.1', callFrom, callTo, function(error) {
+      if (typeof opts.srcCallback === 'function') {
+        opts.srcCallback(error, send);
+      }
+    });
+  });
+
+  return send;
+}
+
+util.inherits(BatchSocket, require('stream').Duplex);
+
+// Record each group of buffers written together
+function BatchSocket() {
+  require('stream').Duplex.call(this);
+  this.batches = [];
+}
+
+BatchSocket.prototype._read = function() {};
+
+BatchSocket.prototype._write = function(chunk, encoding, callback) {
+  this.batches.push([chunk]);
+  callback();
+};
+
+BatchSocket.prototype._writev = function(chunks, callback) {
+  this.batches.push(chunks.map(function(entry) {
+    return entry.chunk;
+  }));
+  callback();
+};